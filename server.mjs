@@ -1,188 +1,3016 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { appendFile, readFile, rename, stat, writeFile } from "node:fs/promises";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { pathToFileURL } from "node:url";
 import express from "express";
 import { z } from "zod";
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import { BetaAnalyticsDataClient } from "@google-analytics/data";
+import { createLocalJWKSet, createRemoteJWKSet, jwtVerify } from "jose";
 
 const app = express();
 app.disable("x-powered-by");
 app.use(express.json({ limit: "1mb" }));
 
 // ===== 環境変数 =====
-const GA4_PROPERTY_ID = process.env.GA4_PROPERTY_ID; // 例: "423169216"
+const GA4_PROPERTY_ID = process.env.GA4_PROPERTY_ID; // 例: "423169216"（既定プロパティ）
+const GA4_PROPERTIES = process.env.GA4_PROPERTIES;   // 例: "corp:423169216,shop:398765432"
 const MCP_PATH_TOKEN = process.env.MCP_PATH_TOKEN;   // Secret値（推奨）
 const MCP_API_KEY = process.env.MCP_API_KEY;         // 任意（curl用）
+// OAuth 2.1（任意）: 設定するとクライアントごとの Bearer トークン（JWT）を受け付ける
+const MCP_OAUTH_ISSUER = process.env.MCP_OAUTH_ISSUER;     // 例: "https://auth.example.com"
+const MCP_OAUTH_JWKS_URL = process.env.MCP_OAUTH_JWKS_URL; // 省略時は issuer のメタデータの jwks_uri
+const MCP_OAUTH_JWKS = process.env.MCP_OAUTH_JWKS;         // JWKS の JSON を直接指定（ローカルの検証用 issuer など）
+const MCP_OAUTH_AUDIENCE = process.env.MCP_OAUTH_AUDIENCE; // 省略時は MCP_RESOURCE_URL
+const MCP_RESOURCE_URL = process.env.MCP_RESOURCE_URL;     // 例: "https://ga-mcp.example.com/mcp"（OAuth 利用時は必須）
+// キーの登録簿（任意）: クライアントごとに label / 許可プロパティ / 許可ツール / 期限 / レート制限を持つ
+const MCP_KEYS_FILE = process.env.MCP_KEYS_FILE; // 例: "/secrets/keys.json"（更新すると再起動なしで読み直す）
+const MCP_KEYS = process.env.MCP_KEYS;           // 同じ形式の JSON を直接指定
+
+// ===== プロパティ許可リスト =====
+// GA4_PROPERTIES の "alias:id" を読み、GA4_PROPERTY_ID は alias "default" として常に含める
+function parseProperties(raw, defaultId) {
+  const aliases = new Map(); // alias -> id
+  const errors = [];
+
+  if (defaultId) aliases.set("default", String(defaultId).replace(/^properties\//, ""));
+
+  for (const part of String(raw || "").split(",")) {
+    const s = part.trim();
+    if (!s) continue;
+    const i = s.indexOf(":");
+    const alias = (i >= 0 ? s.slice(0, i) : s).trim();
+    const id = (i >= 0 ? s.slice(i + 1) : s).trim().replace(/^properties\//, "");
+    if (!/^\d+$/.test(id)) {
+      errors.push(`Invalid GA4_PROPERTIES entry: "${s}"`);
+      continue;
+    }
+    aliases.set(alias || id, id);
+  }
+
+  const ids = new Set(aliases.values());
+  const first = aliases.values().next().value;
+  return { aliases, ids, defaultId: first || null, errors };
+}
+
+const PROPERTIES = parseProperties(GA4_PROPERTIES, GA4_PROPERTY_ID);
+
+// 呼び出し元が使えるプロパティID（キーで絞られていればその範囲）
+function allowedPropertyIds(caller = currentCaller()) {
+  const ids = [...PROPERTIES.ids];
+  return caller?.properties ? ids.filter((id) => caller.properties.includes(id)) : ids;
+}
+
+// 既定プロパティがキーで許可されていなければ、キーで許可された最初のプロパティを既定にする
+function defaultPropertyId() {
+  const allowed = allowedPropertyIds();
+  return allowed.includes(PROPERTIES.defaultId) ? PROPERTIES.defaultId : allowed[0] ?? null;
+}
+
+// alias / 数値ID / "properties/123" を受け付け、許可リスト外（呼び出し元のキーで許可されていないものも）は拒否
+function resolvePropertyId(input) {
+  const allowed = allowedPropertyIds();
+  if (input == null || input === "") {
+    const pid = defaultPropertyId();
+    if (!pid) {
+      throw toolError("PROPERTY_NOT_ALLOWED", "既定のプロパティがありません。GA4_PROPERTY_ID か GA4_PROPERTIES を設定して下さい。");
+    }
+    return notePropertyId(pid);
+  }
+  const key = String(input).trim().replace(/^properties\//, "");
+  const pid = PROPERTIES.aliases.get(key) ?? (PROPERTIES.ids.has(key) ? key : null);
+  if (pid && allowed.includes(pid)) return notePropertyId(pid);
+  throw toolError("PROPERTY_NOT_ALLOWED", `propertyId "${input}" は許可されていません。ga_list_properties で確認して下さい。`);
+}
+
+function listProperties() {
+  const allowed = allowedPropertyIds();
+  return [...PROPERTIES.aliases].filter(([, id]) => allowed.includes(id)).map(([alias, id]) => ({
+    alias,
+    propertyId: id,
+    isDefault: id === defaultPropertyId(),
+  }));
+}
 
 function configErrors() {
-  const errs = [];
-  if (!GA4_PROPERTY_ID) errs.push("Missing env: GA4_PROPERTY_ID");
-  if (!MCP_PATH_TOKEN && !MCP_API_KEY) errs.push("Missing auth env: set MCP_PATH_TOKEN or MCP_API_KEY");
+  const errs = [...PROPERTIES.errors];
+  if (!PROPERTIES.defaultId) errs.push("Missing env: GA4_PROPERTY_ID or GA4_PROPERTIES");
+  if (!MCP_PATH_TOKEN && !MCP_API_KEY && !MCP_OAUTH_ISSUER && !MCP_KEYS_FILE && !MCP_KEYS) {
+    errs.push("Missing auth env: set MCP_OAUTH_ISSUER, MCP_KEYS_FILE, MCP_KEYS, MCP_PATH_TOKEN or MCP_API_KEY");
+  }
+  if (keyRegistry.error) errs.push(`Invalid key registry: ${keyRegistry.error}`);
+  if (MCP_OAUTH_ISSUER && !MCP_RESOURCE_URL) errs.push("Missing env: MCP_RESOURCE_URL (required with MCP_OAUTH_ISSUER)");
   return errs;
 }
 
-function isAuthorized(req) {
-  // 認証が未設定なら常に拒否（/healthで原因を見せる）
-  if (!MCP_PATH_TOKEN && !MCP_API_KEY) return false;
+// ===== 認可 =====
+// OAuth 2.1: Authorization: Bearer <JWT> を issuer/JWKS で検証し、スコープはツールのグループ単位で与える
+// MCP_PATH_TOKEN / MCP_API_KEY は従来どおり使え、全スコープを持つ呼び出し元として扱う
+const OAUTH_SCOPES = ["ga.read", "ga.saved_reports", "ga.admin"];
+
+// ここに無いツールは ga.read
+const TOOL_SCOPES = {
+  ga_save_report: "ga.saved_reports",
+  ga_delete_saved_report: "ga.saved_reports",
+  ga_refresh_metadata: "ga.admin",
+};
+
+function toolScope(tool) {
+  return TOOL_SCOPES[tool] || "ga.read";
+}
+
+// JSON-RPC メッセージ（配列のバッチも可）が必要とするスコープ
+function requiredScopes(body) {
+  const scopes = new Set();
+  for (const msg of Array.isArray(body) ? body : [body]) {
+    if (msg?.method === "tools/call") scopes.add(toolScope(msg.params?.name));
+    if (msg?.method === "resources/read" || msg?.method === "prompts/get") scopes.add("ga.read");
+  }
+  return [...scopes];
+}
+
+// キーの tools は完全一致か末尾 * の前方一致（例: "ga_run_report", "ga_top_*"）。未指定なら全ツール
+function toolAllowedForKey(tool, authInfo) {
+  const patterns = authInfo?.extra?.tools;
+  if (!patterns) return true;
+  return patterns.some((p) => (p.endsWith("*") ? tool.startsWith(p.slice(0, -1)) : tool === p));
+}
+
+// ツールのハンドラ側でも確認する（保存済みレポート経由の呼び出しなど）
+function assertToolAllowed(tool, authInfo) {
+  if (!authInfo) return;
+  const scope = toolScope(tool);
+  if (!authInfo.scopes.includes(scope)) {
+    throw toolError("INSUFFICIENT_SCOPE", `ツール "${tool}" にはスコープ ${scope} が必要です。`, { tool, requiredScope: scope });
+  }
+  if (!toolAllowedForKey(tool, authInfo)) {
+    throw toolError("TOOL_NOT_ALLOWED", `ツール "${tool}" はこのキーでは使えません。`, { tool, key: authInfo.extra?.label });
+  }
+}
+
+// RFC 9728: リソース URL のパスを /.well-known/oauth-protected-resource の後ろに付ける
+function protectedResourceMetadataUrl() {
+  const url = new URL(MCP_RESOURCE_URL);
+  return new URL(`/.well-known/oauth-protected-resource${url.pathname.replace(/\/$/, "")}`, url).href;
+}
+
+function protectedResourceMetadata() {
+  return {
+    resource: MCP_RESOURCE_URL,
+    authorization_servers: [MCP_OAUTH_ISSUER],
+    scopes_supported: OAUTH_SCOPES,
+    bearer_methods_supported: ["header"],
+    resource_name: "ga-mcp",
+  };
+}
+
+// RFC 8414 → OpenID Connect Discovery の順で issuer のメタデータから jwks_uri を探す
+async function discoverJwksUri(issuer) {
+  const base = new URL(issuer);
+  const path = base.pathname.replace(/\/$/, "");
+  const candidates = [
+    new URL(`/.well-known/oauth-authorization-server${path}`, base),
+    new URL(`${path}/.well-known/openid-configuration`, base),
+  ];
+  for (const url of candidates) {
+    try {
+      const res = await fetch(url, { signal: AbortSignal.timeout(5000) });
+      if (!res.ok) continue;
+      const meta = await res.json();
+      if (meta.jwks_uri) return meta.jwks_uri;
+    } catch {
+      // 次の候補へ
+    }
+  }
+  throw new Error(`jwks_uri が見つかりません（issuer: ${issuer}）。MCP_OAUTH_JWKS_URL を設定して下さい。`);
+}
+
+// 鍵の取得・ローテーションは jose の JWKS が面倒を見る。失敗したら次のリクエストで探し直す
+let oauthJwks = null;
+function getOAuthJwks() {
+  oauthJwks ??= (async () => {
+    if (MCP_OAUTH_JWKS) return createLocalJWKSet(JSON.parse(MCP_OAUTH_JWKS));
+    return createRemoteJWKSet(new URL(MCP_OAUTH_JWKS_URL || (await discoverJwksUri(MCP_OAUTH_ISSUER))));
+  })().catch((e) => {
+    oauthJwks = null;
+    throw e;
+  });
+  return oauthJwks;
+}
+
+// 検証済みトークンを MCP SDK の AuthInfo の形にする（ツールには extra.authInfo として渡る）
+async function verifyBearerToken(token) {
+  const { payload } = await jwtVerify(token, await getOAuthJwks(), {
+    issuer: MCP_OAUTH_ISSUER,
+    audience: MCP_OAUTH_AUDIENCE || MCP_RESOURCE_URL,
+    requiredClaims: ["exp"],
+  });
+  const scopes =
+    typeof payload.scope === "string" ? payload.scope.split(" ").filter(Boolean) : Array.isArray(payload.scp) ? payload.scp : [];
+  return {
+    token,
+    clientId: String(payload.client_id || payload.azp || payload.sub || "unknown"),
+    scopes,
+    expiresAt: payload.exp,
+    extra: { via: "oauth", subject: payload.sub ?? null, email: payload.email ?? null },
+  };
+}
+
+// ===== キーの登録簿 =====
+// MCP_KEYS_FILE / MCP_KEYS の形式（配列か { "keys": [...] }）:
+//   { "label": "looker", "key": "<32文字以上の秘密値>", "properties": ["shop"], "tools": ["ga_run_report", "ga_top_*"],
+//     "expiresAt": "2027-03-31T00:00:00+09:00", "rateLimitPerMinute": 60, "admin": false }
+// key の代わりに sha256（秘密値の SHA-256 16進）も書ける。properties / tools を省略すると制限なし
+// ga.admin スコープ（ga_refresh_metadata や、他の呼び出し元の履歴の参照）は "admin": true のキーにだけ与える
+// ファイルは更新時刻を見て読み直す（SIGHUP でも即時に読み直す）。読み直しに失敗したら前の内容を使い続ける
+const KEYS_CHECK_INTERVAL_MS = 10 * 1000;
+
+const apiKeyEntrySchema = z
+  .object({
+    label: z.string().min(1).max(100),
+    key: z.string().min(32).optional(),
+    sha256: z.string().regex(/^[0-9a-f]{64}$/i).optional(),
+    properties: z.array(z.string().min(1)).min(1).optional(),
+    tools: z.array(z.string().min(1)).min(1).optional(),
+    expiresAt: z.string().refine((s) => !Number.isNaN(Date.parse(s)), "日時として解釈できません").optional(),
+    rateLimitPerMinute: z.number().int().positive().optional(),
+    admin: z.boolean().default(false),
+  })
+  .strict()
+  .refine((k) => !k.key !== !k.sha256, "key か sha256 のどちらか一方を指定して下さい");
+
+const apiKeyFileSchema = z.union([z.array(apiKeyEntrySchema), z.object({ keys: z.array(apiKeyEntrySchema) }).strict()]);
+
+let keyRegistry = { entries: [], loadedAt: null, mtimeMs: null, checkedAt: 0, error: null };
+let keyRegistryLoading = null;
+
+const sha256 = (s) => createHash("sha256").update(String(s)).digest();
+
+// 長さに関係なく一定時間で比べるため、両方を SHA-256 にしてから timingSafeEqual する
+function safeEqual(a, b) {
+  return timingSafeEqual(sha256(a), sha256(b));
+}
+
+function parseKeyEntries(raw, source) {
+  const parsed = apiKeyFileSchema.safeParse(JSON.parse(raw));
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`${source}: ${issue.path.join(".")} ${issue.message}`);
+  }
+  const list = Array.isArray(parsed.data) ? parsed.data : parsed.data.keys;
+  return list.map((k) => {
+    const properties = k.properties?.map((p) => {
+      const key = p.trim().replace(/^properties\//, "");
+      const id = PROPERTIES.aliases.get(key) ?? (PROPERTIES.ids.has(key) ? key : null);
+      if (!id) throw new Error(`${source}: key "${k.label}" のプロパティ "${p}" は GA4_PROPERTIES にありません`);
+      return id;
+    });
+    return {
+      label: k.label,
+      digest: k.key ? sha256(k.key) : Buffer.from(k.sha256, "hex"),
+      properties: properties ? [...new Set(properties)] : null,
+      tools: k.tools ?? null,
+      expiresAt: k.expiresAt ? Date.parse(k.expiresAt) : null,
+      rateLimitPerMinute: k.rateLimitPerMinute ?? null,
+      admin: k.admin,
+    };
+  });
+}
+
+async function loadKeyRegistry() {
+  const entries = [];
+  let mtimeMs = null;
+  if (MCP_KEYS) entries.push(...parseKeyEntries(MCP_KEYS, "MCP_KEYS"));
+  if (MCP_KEYS_FILE) {
+    mtimeMs = (await stat(MCP_KEYS_FILE)).mtimeMs;
+    entries.push(...parseKeyEntries(await readFile(MCP_KEYS_FILE, "utf8"), MCP_KEYS_FILE));
+  }
+  const labels = entries.map((e) => e.label);
+  const dup = labels.find((l, i) => labels.indexOf(l) !== i);
+  if (dup) throw new Error(`key label "${dup}" が重複しています`);
+  return { entries, loadedAt: new Date().toISOString(), mtimeMs, checkedAt: Date.now(), error: null };
+}
+
+async function reloadKeyRegistry() {
+  keyRegistryLoading ??= loadKeyRegistry()
+    .then((next) => {
+      keyRegistry = next;
+      console.log(`key registry loaded: ${next.entries.length} key(s)`);
+    })
+    .catch((e) => {
+      // 前回の内容を残す（一度も読めていなければ configErrors に出して全て拒否）
+      const message = e?.message || String(e);
+      keyRegistry = { ...keyRegistry, checkedAt: Date.now(), error: keyRegistry.loadedAt ? null : message };
+      console.error(`key registry reload failed: ${message}`);
+    })
+    .finally(() => {
+      keyRegistryLoading = null;
+    });
+  return keyRegistryLoading;
+}
+
+// ファイルの更新時刻が変わっていれば読み直す（確認は KEYS_CHECK_INTERVAL_MS ごと）
+async function refreshKeyRegistry() {
+  if (!MCP_KEYS_FILE || Date.now() - keyRegistry.checkedAt < KEYS_CHECK_INTERVAL_MS) return;
+  keyRegistry.checkedAt = Date.now();
+  try {
+    const { mtimeMs } = await stat(MCP_KEYS_FILE);
+    if (mtimeMs !== keyRegistry.mtimeMs) await reloadKeyRegistry();
+  } catch (e) {
+    console.error(`key registry check failed: ${e?.message || e}`);
+  }
+}
+
+// 一致するキーを探す（途中で打ち切らず全件と比べる）
+function findRegisteredKey(secret) {
+  const digest = sha256(secret);
+  let found = null;
+  for (const entry of keyRegistry.entries) {
+    if (timingSafeEqual(digest, entry.digest) && !found) found = entry;
+  }
+  return found;
+}
+
+// キーごとのレート制限（1分あたりの tools/call 数、トークンバケット）
+const keyRateBuckets = new Map(); // label -> { tokens, updatedAt }
+
+// 使えれば 0、超過なら再試行までの秒数
+function takeRateLimit(authInfo, count) {
+  const perMinute = authInfo.extra?.rateLimitPerMinute;
+  if (!perMinute || !count) return 0;
+  const label = authInfo.extra.label;
+  const now = Date.now();
+  const b = keyRateBuckets.get(label) ?? { tokens: perMinute, updatedAt: now };
+  b.tokens = Math.min(perMinute, b.tokens + ((now - b.updatedAt) / 60000) * perMinute);
+  b.updatedAt = now;
+  keyRateBuckets.set(label, b);
+  if (b.tokens < count) return Math.ceil(((count - b.tokens) / perMinute) * 60);
+  b.tokens -= count;
+  return 0;
+}
+
+function keyAuthInfo(entry) {
+  return {
+    token: "",
+    clientId: entry.label,
+    scopes: entry.admin ? OAUTH_SCOPES : OAUTH_SCOPES.filter((s) => s !== "ga.admin"),
+    expiresAt: entry.expiresAt ? Math.floor(entry.expiresAt / 1000) : undefined,
+    extra: {
+      via: "key_registry",
+      label: entry.label,
+      subject: null,
+      email: null,
+      properties: entry.properties,
+      tools: entry.tools,
+      rateLimitPerMinute: entry.rateLimitPerMinute,
+    },
+  };
+}
+
+function legacyAuthInfo(via) {
+  return { token: "", clientId: via, scopes: OAUTH_SCOPES, extra: { via, label: via, subject: null, email: null } };
+}
+
+// 認証できれば AuthInfo、できなければ null
+async function authenticate(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.header("authorization") || "")?.[1];
+  if (bearer && MCP_OAUTH_ISSUER) {
+    try {
+      return await verifyBearerToken(bearer);
+    } catch (e) {
+      console.warn(`bearer token rejected: ${e?.code || e?.message || e}`);
+      return null;
+    }
+  }
+
+  // 登録簿のキーは URL のパスでも x-api-key ヘッダでも受け付ける
+  const tokenInPath = req.params?.token;
+  const headerKey = req.header("x-api-key");
+  await refreshKeyRegistry();
+  for (const secret of [headerKey, tokenInPath]) {
+    const entry = secret ? findRegisteredKey(secret) : null;
+    if (!entry) continue;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      console.warn(`expired key rejected: ${entry.label}`);
+      return null;
+    }
+    return keyAuthInfo(entry);
+  }
+
+  if (MCP_PATH_TOKEN && tokenInPath && safeEqual(tokenInPath, MCP_PATH_TOKEN)) return legacyAuthInfo("path_token");
+  if (MCP_API_KEY && headerKey && safeEqual(headerKey, MCP_API_KEY)) return legacyAuthInfo("api_key");
+
+  return null;
+}
+
+// 運用向けの情報（/health/ready の詳細、/metrics）は全プロパティを見られる管理者（ga.admin・プロパティ制限なし）だけに出す
+function isUnrestrictedAdmin(authInfo) {
+  return Boolean(authInfo?.scopes.includes("ga.admin") && !authInfo.extra?.properties);
+}
+
+// 401/403 の WWW-Authenticate（OAuth 利用時は protected-resource metadata の場所を知らせる）
+function challenge(res, status, params = {}) {
+  if (MCP_OAUTH_ISSUER) {
+    const attrs = { ...params, resource_metadata: protectedResourceMetadataUrl() };
+    res.set("WWW-Authenticate", `Bearer ${Object.entries(attrs).map(([k, v]) => `${k}="${v}"`).join(", ")}`);
+  }
+  return res.status(status).json({ error: params.error || "unauthorized" });
+}
+
+// ツールから見た呼び出し元
+function callerOf(authInfo) {
+  if (!authInfo) return null;
+  return {
+    label: authInfo.extra?.label ?? authInfo.clientId,
+    clientId: authInfo.clientId,
+    subject: authInfo.extra?.subject ?? null,
+    email: authInfo.extra?.email ?? null,
+    via: authInfo.extra?.via ?? null,
+    scopes: authInfo.scopes,
+    properties: authInfo.extra?.properties ?? null,
+    tools: authInfo.extra?.tools ?? null,
+  };
+}
+
+// ===== GAクライアント =====
+const gaClient = new BetaAnalyticsDataClient();
+
+function toNumber(v) {
+  if (v == null) return 0;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function yyyymmddToIso(s) {
+  if (!s || s.length !== 8) return s;
+  return `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`;
+}
+
+function safePctChange(curr, prev) {
+  if (!prev) return null;
+  return (curr - prev) / prev;
+}
+
+// ===== 期間の解決（プロパティのタイムゾーン基準） =====
+// プロパティのタイムゾーン/通貨は Admin API → レポートのレスポンス metadata → 設定値 の順で決める
+// GA4_TIME_ZONE / GA4_CURRENCY_CODE: 設定値（タイムゾーン未設定ならサーバーのタイムゾーン）
+const GA4_TIME_ZONE = process.env.GA4_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const GA4_CURRENCY_CODE = process.env.GA4_CURRENCY_CODE || null;
+// Admin API が失敗したプロパティは、しばらく問い合わせずに他の値で済ませる
+const PROPERTY_SETTINGS_RETRY_MS = 5 * 60 * 1000;
+// Admin API が詰まってもレポートを待たせないよう短めに打ち切る（打ち切ったら失敗と同じく他の値で済ませる）
+const PROPERTY_SETTINGS_TIMEOUT_MS = 3000;
+
+const observedPropertySettings = new Map(); // pid -> { timeZone, currencyCode }
+const propertySettingsFailedAt = new Map();
+// 同じプロパティへの同時の問い合わせ（バッチ実行など）は 1 回にまとめる
+const propertySettingsInFlight = new Map(); // pid -> Promise
+
+function fetchPropertySettings(pid) {
+  if (!propertySettingsInFlight.has(pid)) {
+    const p = withCache("propertySettings", { pid }, { ttlSec: GA_CACHE_TTL_METADATA_SEC }, async () => {
+      const url = `https://analyticsadmin.googleapis.com/v1beta/properties/${pid}`;
+      const prop = await googleRestRequest(url, { label: "Admin API", timeoutMs: PROPERTY_SETTINGS_TIMEOUT_MS });
+      return {
+        timeZone: prop.timeZone || GA4_TIME_ZONE,
+        currencyCode: prop.currencyCode || GA4_CURRENCY_CODE,
+        source: "admin_api",
+      };
+    }).finally(() => propertySettingsInFlight.delete(pid));
+    propertySettingsInFlight.set(pid, p);
+  }
+  return propertySettingsInFlight.get(pid);
+}
+
+async function getPropertySettings(pid) {
+  const failedAt = propertySettingsFailedAt.get(pid);
+  if (!failedAt || Date.now() - failedAt > PROPERTY_SETTINGS_RETRY_MS) {
+    try {
+      return await fetchPropertySettings(pid);
+    } catch (e) {
+      // 失敗は再試行の間隔ごとに 1 回だけ記録する（同時に失敗した呼び出しは先の 1 件に任せる）
+      if (propertySettingsFailedAt.get(pid) === failedAt) {
+        propertySettingsFailedAt.set(pid, Date.now());
+        console.warn(`property settings lookup failed for ${pid}; using fallback time zone/currency: ${formatErr(e)}`);
+      }
+    }
+  }
+  const seen = observedPropertySettings.get(pid);
+  if (seen?.timeZone) {
+    return { timeZone: seen.timeZone, currencyCode: seen.currencyCode || GA4_CURRENCY_CODE, source: "response_metadata" };
+  }
+  return { timeZone: GA4_TIME_ZONE, currencyCode: GA4_CURRENCY_CODE, source: "config" };
+}
+
+async function getPropertyTimeZone(pid) {
+  return (await getPropertySettings(pid)).timeZone;
+}
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function todayIn(timeZone) {
+  // en-CA は YYYY-MM-DD 形式
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(
+    new Date()
+  );
+}
+
+function isoToUtc(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function utcToIso(dt) {
+  return dt.toISOString().slice(0, 10);
+}
+
+function addDays(iso, n) {
+  const dt = isoToUtc(iso);
+  dt.setUTCDate(dt.getUTCDate() + n);
+  return utcToIso(dt);
+}
+
+// 月末を超える日は月末に丸める（3/31 → 翌月 4/30、2/29 → 前年 2/28）
+function addMonths(iso, n) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const last = new Date(Date.UTC(y, m - 1 + n + 1, 0)).getUTCDate();
+  return utcToIso(new Date(Date.UTC(y, m - 1 + n, Math.min(d, last))));
+}
+
+function addYears(iso, n) {
+  return addMonths(iso, n * 12);
+}
+
+function daysBetween(startIso, endIso) {
+  return Math.round((isoToUtc(endIso) - isoToUtc(startIso)) / 86400000) + 1;
+}
+
+// GA がそのまま受け付ける日付（today / yesterday / NdaysAgo / YYYY-MM-DD）
+function isGaNativeDate(s) {
+  return s === "today" || s === "yesterday" || /^\d+daysAgo$/.test(s) || ISO_DATE_RE.test(s);
+}
+
+// 形式は合っていても暦に無い日付（2026-02-30 や 2026-13-01）は INVALID_DATE
+function resolveDate(s, today) {
+  if (s === "today") return today;
+  if (s === "yesterday") return addDays(today, -1);
+  const m = String(s).match(/^(\d+)daysAgo$/);
+  if (m) return addDays(today, -Number(m[1]));
+  if (ISO_DATE_RE.test(s)) {
+    if (utcToIso(isoToUtc(s)) !== s) throw toolError("INVALID_DATE", `日付 "${s}" は存在しません。`, { value: s });
+    return s;
+  }
+  return null;
+}
+
+// startDate に指定できるプリセット（endDate は無視）。週は月曜始まり
+// endDate だけにプリセットを指定した場合は、そのプリセットの終了日として扱う
+// thisWeek / lastWeek / thisMonth / lastMonth / thisQuarter / lastQuarter / thisYear / lastYear / lastNDays
+function resolvePresetRange(name, today) {
+  const [y, mo] = today.split("-").map(Number);
+  const iso = (yy, mm, dd) => utcToIso(new Date(Date.UTC(yy, mm - 1, dd)));
+  const dow = (isoToUtc(today).getUTCDay() + 6) % 7; // 月曜=0
+  const q = Math.floor((mo - 1) / 3);
+
+  const lastN = String(name).match(/^last(\d+)Days$/);
+  if (lastN) {
+    const n = Number(lastN[1]);
+    if (n < 1) return null;
+    return { startDate: addDays(today, -n), endDate: addDays(today, -1) };
+  }
+
+  switch (name) {
+    case "thisWeek":
+      return { startDate: addDays(today, -dow), endDate: today };
+    case "lastWeek":
+      return { startDate: addDays(today, -dow - 7), endDate: addDays(today, -dow - 1) };
+    case "thisMonth":
+      return { startDate: iso(y, mo, 1), endDate: today };
+    case "lastMonth":
+      return { startDate: iso(y, mo - 1, 1), endDate: iso(y, mo, 0) };
+    case "thisQuarter":
+      return { startDate: iso(y, q * 3 + 1, 1), endDate: today };
+    case "lastQuarter":
+      return { startDate: iso(y, q * 3 - 2, 1), endDate: iso(y, q * 3 + 1, 0) };
+    case "thisYear":
+      return { startDate: iso(y, 1, 1), endDate: today };
+    case "lastYear":
+      return { startDate: iso(y - 1, 1, 1), endDate: iso(y - 1, 12, 31) };
+    default:
+      return null;
+  }
+}
+
+// 相対/絶対/プリセットの期間を、プロパティのタイムゾーンでの具体的な ISO 日付に解決
+async function resolveDateRange(pid, { startDate, endDate }) {
+  const timeZone = await getPropertyTimeZone(pid);
+  const today = todayIn(timeZone);
+
+  const range = resolvePresetRange(startDate, today) ?? {
+    startDate: resolveDate(startDate, today),
+    endDate: resolvePresetRange(endDate, today)?.endDate ?? resolveDate(endDate ?? "today", today),
+  };
+  if (!range.startDate) throw toolError("INVALID_DATE_RANGE", `startDate "${startDate}" を解釈できません。`);
+  if (!range.endDate) throw toolError("INVALID_DATE_RANGE", `endDate "${endDate}" を解釈できません。`);
+  if (range.startDate > range.endDate) {
+    throw toolError("INVALID_DATE_RANGE", `期間が逆転しています（${range.startDate} 〜 ${range.endDate}）。`);
+  }
+  return { ...range, days: daysBetween(range.startDate, range.endDate), timeZone };
+}
+
+// GA が直接解釈できない指定（プリセット等）だけ具体的な日付に置き換える
+// GA がそのまま受け付ける指定も、暦に無い日付や逆転した期間は送る前にここで弾く
+async function toGaDateRange(pid, r) {
+  const { startDate, endDate } = await resolveDateRange(pid, r);
+  if (isGaNativeDate(r.startDate) && isGaNativeDate(r.endDate)) return r;
+  return { ...r, startDate, endDate };
+}
+
+// 比較期間：previous_period（直前の同日数）/ previous_year（前年同期間）/ custom
+async function resolveCompareRanges(pid, { startDate, endDate, compare, compareStartDate, compareEndDate }) {
+  if (!compare || compare === "none") return null;
+
+  const current = await resolveDateRange(pid, { startDate, endDate });
+  let previous;
+  if (compare === "previous_period") {
+    const end = addDays(current.startDate, -1);
+    previous = { startDate: addDays(end, -(current.days - 1)), endDate: end };
+  } else if (compare === "previous_year") {
+    previous = { startDate: addYears(current.startDate, -1), endDate: addYears(current.endDate, -1) };
+  } else if (compare === "custom") {
+    if (!compareStartDate || !compareEndDate) {
+      throw toolError("INVALID_ARGUMENT", "compare=custom の場合は compareStartDate と compareEndDate を指定して下さい。");
+    }
+    previous = await resolveDateRange(pid, { startDate: compareStartDate, endDate: compareEndDate });
+  } else {
+    throw toolError("INVALID_ARGUMENT", `compare "${compare}" は未対応です。`);
+  }
+
+  return {
+    mode: compare,
+    current: { startDate: current.startDate, endDate: current.endDate },
+    previous: { startDate: previous.startDate, endDate: previous.endDate },
+    timeZone: current.timeZone,
+  };
+}
+
+// 同じディメンション値の行を突き合わせ、全メトリクスの増減・増減率を付ける
+// share（applyTotals が付けた構成比）は今期の合計に対するものとしてそのまま残す
+function compareRows(currRows, prevRows, dimensions, metrics) {
+  const keyOf = (r) => JSON.stringify(dimensions.map((d) => r[d] ?? ""));
+  const prevMap = new Map(prevRows.map((r) => [keyOf(r), r]));
+
+  return currRows.map((r) => {
+    const p = prevMap.get(keyOf(r)) || {};
+    const current = {};
+    const previous = {};
+    const delta = {};
+    const deltaPct = {};
+    for (const m of metrics) {
+      current[m] = r[m] ?? 0;
+      previous[m] = p[m] ?? 0;
+      delta[m] = current[m] - previous[m];
+      deltaPct[m] = safePctChange(current[m], previous[m]);
+    }
+    const keys = Object.fromEntries(dimensions.map((d) => [d, r[d] ?? ""]));
+    return { ...keys, current, previous, delta, deltaPct, ...(r.share ? { share: r.share } : {}) };
+  });
+}
+
+function jsonText(obj) {
+  return { content: [{ type: "text", text: JSON.stringify(obj, null, 2) }] };
+}
+
+function formatErr(e) {
+  const msg = e?.message || String(e);
+  return msg.length > 800 ? msg.slice(0, 800) + "..." : msg;
+}
+
+// ===== 出力形式（全ツール共通の format / decimals / ratesAsPercent） =====
+// GA_OUTPUT_DECIMALS: 小数の丸め桁数の既定値
+const GA_OUTPUT_DECIMALS = Number(process.env.GA_OUTPUT_DECIMALS || 4);
+// 率として扱うキー（sessionKeyEventRate:purchase, deltaPct, retention など）
+const RATE_KEY_RE = /(rate|pct|retention|share)$/i;
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function roundTo(x, decimals) {
+  if (Number.isInteger(x)) return x;
+  const f = 10 ** decimals;
+  return Math.round(x * f) / f;
+}
+
+// 数値の丸めと率の % 表記。path のどこかが率のキーならその配下の数値を率とみなす
+function shapeValues(value, opts, isRate = false) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    if (isRate && opts.percent) return `${roundTo(value * 100, Math.max(opts.decimals - 2, 0))}%`;
+    return roundTo(value, opts.decimals);
+  }
+  if (Array.isArray(value)) return value.map((v) => shapeValues(v, opts, isRate));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, shapeValues(v, opts, isRate || RATE_KEY_RE.test(k.split(":")[0]))])
+    );
+  }
+  return value;
+}
+
+// 入れ子のオブジェクトは "current.sessions" のようなキーに平坦化（配列は JSON 文字列）
+function flattenRow(row, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(row)) {
+    if (isPlainObject(v)) flattenRow(v, `${prefix}${k}.`, out);
+    else out[`${prefix}${k}`] = Array.isArray(v) ? JSON.stringify(v) : v;
+  }
+  return out;
+}
+
+function tableColumns(rows) {
+  const cols = new Set();
+  for (const r of rows) Object.keys(r).forEach((k) => cols.add(k));
+  return [...cols];
+}
+
+function toCsv(rows) {
+  const flat = rows.map((r) => flattenRow(r));
+  const cols = tableColumns(flat);
+  const cell = (v) => {
+    const s = v == null ? "" : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [cols.map(cell).join(","), ...flat.map((r) => cols.map((c) => cell(r[c])).join(","))].join("\n");
+}
+
+function toMarkdown(rows) {
+  const flat = rows.map((r) => flattenRow(r));
+  const cols = tableColumns(flat);
+  const cell = (v) => (v == null ? "" : String(v).replace(/\|/g, "\\|").replace(/\r?\n/g, " "));
+  return [
+    `| ${cols.map(cell).join(" | ")} |`,
+    `| ${cols.map(() => "---").join(" | ")} |`,
+    ...flat.map((r) => `| ${cols.map((c) => cell(r[c])).join(" | ")} |`),
+  ].join("\n");
+}
+
+// json: 整形 JSON / json_compact: 1行 JSON / csv・markdown: トップレベルの行配列を表に、残りは 1行 JSON
+function renderOutput(obj, { format = "json", decimals = GA_OUTPUT_DECIMALS, ratesAsPercent = true } = {}) {
+  const data = shapeValues(obj, { decimals, percent: ratesAsPercent });
+  if (format === "json") return jsonText(data);
+  if (format === "json_compact") return { content: [{ type: "text", text: JSON.stringify(data) }] };
+
+  const meta = {};
+  const blocks = [];
+  for (const [k, v] of Object.entries(data)) {
+    if (Array.isArray(v) && v.length && v.every(isPlainObject)) {
+      blocks.push(format === "csv" ? `# ${k}\n${toCsv(v)}` : `### ${k}\n\n${toMarkdown(v)}`);
+    } else if (v !== undefined) {
+      meta[k] = v;
+    }
+  }
+  return { content: [{ type: "text", text: [JSON.stringify(meta), ...blocks].join("\n\n") }] };
+}
+
+const formatArgs = {
+  format: z.enum(["json", "json_compact", "csv", "markdown"]).default("json"),
+  // 小数の丸め桁数（率を % 表記する場合は % の値の桁数が decimals - 2）
+  decimals: z.number().int().min(0).max(10).default(GA_OUTPUT_DECIMALS),
+  // 率（*Rate / *Pct / *Share / retention）を "12.3%" で出す（どの format でも既定で %、数値のまま欲しければ false）
+  ratesAsPercent: z.boolean().default(true),
+};
+
+// ===== エラーコード / リトライ / クォータ =====
+const GRPC_CODE_NAMES = [
+  "OK",
+  "CANCELLED",
+  "UNKNOWN",
+  "INVALID_ARGUMENT",
+  "DEADLINE_EXCEEDED",
+  "NOT_FOUND",
+  "ALREADY_EXISTS",
+  "PERMISSION_DENIED",
+  "RESOURCE_EXHAUSTED",
+  "FAILED_PRECONDITION",
+  "ABORTED",
+  "OUT_OF_RANGE",
+  "UNIMPLEMENTED",
+  "INTERNAL",
+  "UNAVAILABLE",
+  "DATA_LOSS",
+  "UNAUTHENTICATED",
+];
+
+// gRPC の数値コード / REST の status 文字列 / 自前の err.code を同じ文字列コードに揃える
+function errorCode(e) {
+  if (typeof e?.code === "number") return GRPC_CODE_NAMES[e.code] || "UNKNOWN";
+  if (typeof e?.code === "string" && e.code) return e.code;
+  return "UNKNOWN";
+}
+
+// 自前の検証エラー。code は errorCode() がそのまま使い、details はエラー結果に載る
+function toolError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+const ERROR_CATEGORIES = {
+  UNAUTHENTICATED: "auth",
+  PERMISSION_DENIED: "auth",
+  INSUFFICIENT_SCOPE: "forbidden",
+  TOOL_NOT_ALLOWED: "forbidden",
+  NOT_REPORT_OWNER: "forbidden",
+  RESOURCE_EXHAUSTED: "quota",
+  UNAVAILABLE: "unavailable",
+  DEADLINE_EXCEEDED: "unavailable",
+  INVALID_ARGUMENT: "invalid_argument",
+  OUT_OF_RANGE: "invalid_argument",
+  FILTER_PARSE_ERROR: "invalid_argument",
+  INVALID_CURSOR: "invalid_argument",
+  INVALID_DATE_RANGE: "invalid_argument",
+  INVALID_DATE: "invalid_argument",
+  UNKNOWN_FIELD: "invalid_argument",
+  PROPERTY_NOT_ALLOWED: "invalid_argument",
+  INCOMPATIBLE_DIMENSIONS: "incompatible_dimensions",
+  NOT_FOUND: "not_found",
+  SAVED_REPORTS_UNREADABLE: "config",
+};
+
+const ERROR_HINTS = {
+  auth: "サービスアカウントに対象プロパティの閲覧権限があるか、認証情報が有効か確認して下さい。",
+  forbidden: "この呼び出し元には許可されていない操作です。スコープ不足なら details.requiredScope を含めて認可し直し、キーの制限なら管理者に確認して下さい。",
+  quota: "GA4 のトークン上限に達しています。時間をおいて再実行するか、期間/ディメンションを減らして下さい（ga_quota_status で残量を確認）。",
+  unavailable: "GA4 API が一時的に利用できません。時間をおいて再実行して下さい。",
+  invalid_argument: "引数を確認して下さい（名前は ga_metadata_search、プロパティは ga_list_properties で確認できます）。",
+  incompatible_dimensions: "同時に使えないディメンション/メトリクスの組み合わせです。details.drop の項目を外して下さい。",
+  not_found: "指定したプロパティやリソースが見つかりません。",
+  config: "サーバー側の設定やファイルの問題です。再実行では直らないため、管理者に details.message を伝えて下さい。",
+  internal: "想定外のエラーです。details.message を確認して下さい。",
+};
+
+// 例外を { code, category, retryable, message, hint, details } に変換
+// 非互換エラーは checkCompatibility で外すべき項目を調べて details に付ける
+async function describeError(e) {
+  let code = errorCode(e);
+  if (code === "INVALID_ARGUMENT" && /incompatib/i.test(e?.message || "")) code = "INCOMPATIBLE_DIMENSIONS";
+  const category = ERROR_CATEGORIES[code] || "internal";
+  const details = { ...(e?.details ?? {}) };
+
+  if (category === "incompatible_dimensions" && e?.gaRequest) {
+    try {
+      const { pid, ...fields } = e.gaRequest;
+      const c = await checkCompatibility(pid, fields);
+      details.drop = { dimensions: c.incompatibleDimensions, metrics: c.incompatibleMetrics };
+    } catch {
+      // 提案が作れなくても元のエラーは返す
+    }
+  }
+  if (category === "quota" && e?.gaRequest) details.quota = quotaSummary(e.gaRequest.pid);
+
+  return {
+    code,
+    category,
+    retryable: category === "quota" || category === "unavailable",
+    message: formatErr(e),
+    hint: ERROR_HINTS[category],
+    details,
+  };
+}
+
+// error は describeError() の結果
+function errorResult(report, error) {
+  return {
+    isError: true,
+    content: [{ type: "text", text: JSON.stringify({ report, error }, null, 2) }],
+  };
+}
+
+// GA_RETRY_MAX: リトライ回数、GA_RETRY_BASE_MS / GA_RETRY_MAX_DELAY_MS: 指数バックオフの基準/上限
+const GA_RETRY_MAX = Number(process.env.GA_RETRY_MAX || 3);
+const GA_RETRY_BASE_MS = Number(process.env.GA_RETRY_BASE_MS || 500);
+const GA_RETRY_MAX_DELAY_MS = Number(process.env.GA_RETRY_MAX_DELAY_MS || 8000);
+// GA_REST_TIMEOUT_MS: REST（Admin API / Funnel API）呼び出しのタイムアウト
+const GA_REST_TIMEOUT_MS = Number(process.env.GA_REST_TIMEOUT_MS || 30000);
+const RETRYABLE_CODES = new Set(["RESOURCE_EXHAUSTED", "UNAVAILABLE"]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// RESOURCE_EXHAUSTED / UNAVAILABLE のみ、指数バックオフ + full jitter で再試行
+// method はメトリクスのラベル（例: "runReport"）
+async function withRetry(fn, method = "other") {
+  for (let attempt = 0; ; attempt++) {
+    const stats = toolStats();
+    if (stats) stats.gaRequests++;
+    try {
+      const result = await fn();
+      recordGaApiCall(method);
+      return result;
+    } catch (e) {
+      recordGaApiCall(method, e);
+      if (attempt >= GA_RETRY_MAX || !RETRYABLE_CODES.has(errorCode(e))) throw e;
+      const cap = Math.min(GA_RETRY_MAX_DELAY_MS, GA_RETRY_BASE_MS * 2 ** attempt);
+      await sleep(Math.random() * cap);
+    }
+  }
+}
+
+// プロパティごとに最後に観測した propertyQuota
+const quotaByProperty = new Map();
+
+function recordQuota(pid, propertyQuota) {
+  if (!propertyQuota) return;
+  quotaByProperty.set(pid, { observedAt: new Date().toISOString(), propertyQuota });
+}
+
+// ===== ツール呼び出しのコンテキスト =====
+// 呼び出し中のツールごとに、呼び出し元と GA レスポンスの metadata（しきい値適用・サンプリング等）を持つ
+// stats（GA リクエスト数・キャッシュ利用・対象プロパティ）は入れ子の呼び出しでも外側と共有し、監査ログに使う
+const toolContext = new AsyncLocalStorage();
+
+function newToolStats() {
+  return { gaRequests: 0, cacheHits: 0, cacheMisses: 0, propertyIds: new Set() };
+}
+
+function toolStats() {
+  return toolContext.getStore()?.stats ?? null;
+}
+
+function notePropertyId(pid) {
+  toolStats()?.propertyIds.add(pid);
+  return pid;
+}
+
+function noteResponseMetadata(pid, metadata) {
+  if (!metadata) return;
+  if (metadata.timeZone) {
+    observedPropertySettings.set(pid, { timeZone: metadata.timeZone, currencyCode: metadata.currencyCode || null });
+  }
+  toolContext.getStore()?.responseMetadata.push(metadata);
+}
+
+// 集計が確定していない可能性（GA は 24〜48 時間ほど遅れて確定する）と、レスポンスのフラグ
+function dataQuality(metas, endDate, today) {
+  const samplingMetadatas = metas.flatMap((m) => m.samplingMetadatas ?? []);
+  return {
+    includesToday: endDate ? endDate >= today : null,
+    provisional: endDate ? endDate >= addDays(today, -2) : null,
+    subjectToThresholding: metas.some((m) => m.subjectToThresholding),
+    dataLossFromOtherRow: metas.some((m) => m.dataLossFromOtherRow),
+    sampled: samplingMetadatas.length > 0,
+    samplingMetadatas: samplingMetadatas.length ? samplingMetadatas : undefined,
+    schemaRestricted: metas.some((m) => m.schemaRestrictionResponse?.activeMetricRestrictions?.length),
+    emptyReason: metas.find((m) => m.emptyReason)?.emptyReason || undefined,
+  };
+}
+
+// propertyId を持つ結果に timeZone / currencyCode / 具体的な日付の期間 / dataQuality を添える
+async function withPropertyContext(out, metas) {
+  if (!isPlainObject(out) || !out.propertyId) return out;
+  const pid = out.propertyId;
+  const { timeZone, currencyCode, source } = await getPropertySettings(pid);
+  const today = todayIn(timeZone);
+  const resolve = async (r) => {
+    try {
+      const x = await resolveDateRange(pid, r);
+      return { startDate: x.startDate, endDate: x.endDate, days: x.days };
+    } catch {
+      return null;
+    }
+  };
+
+  const resolved = {};
+  if (out.dateRange?.startDate) resolved.resolvedDateRange = await resolve(out.dateRange);
+  if (Array.isArray(out.dateRanges)) resolved.resolvedDateRanges = await Promise.all(out.dateRanges.map(resolve));
+  const ends = [resolved.resolvedDateRange, ...(resolved.resolvedDateRanges ?? [])].map((r) => r?.endDate).filter(Boolean);
+  const lastEnd = ends.sort().at(-1);
+
+  const result = {};
+  for (const [k, v] of Object.entries(out)) {
+    result[k] = v;
+    if (k === "propertyId") Object.assign(result, { timeZone, currencyCode });
+    if (k === "dateRange" || k === "dateRanges") Object.assign(result, resolved);
+  }
+  result.dataQuality = {
+    ...dataQuality(metas, lastEnd, today),
+    // Admin API から取れず、レスポンス metadata か設定値のタイムゾーン/通貨を使ったとき true
+    propertySettingsFallback: source !== "admin_api",
+    propertySettingsSource: source,
+  };
+  return result;
+}
+
+// 呼び出し元（callerOf の形）。ツール呼び出しの外では null
+function currentCaller() {
+  return toolContext.getStore()?.caller ?? null;
+}
+
+// caller を省略すると外側のツール呼び出しのものを引き継ぐ
+async function runInToolContext(fn, caller, stats) {
+  const parent = toolContext.getStore();
+  const store = {
+    parent,
+    caller: caller ?? parent?.caller ?? null,
+    stats: stats ?? parent?.stats ?? newToolStats(),
+    responseMetadata: [],
+  };
+  return toolContext.run(store, async () => withPropertyContext(await fn(), store.responseMetadata));
+}
+
+// ツール結果に添える要約（残量のみ。詳細は ga_quota_status）
+function quotaSummary(pid) {
+  const q = quotaByProperty.get(pid);
+  if (!q) return null;
+  const remaining = (name) => {
+    const v = q.propertyQuota[name];
+    return v ? toNumber(v.remaining) : null;
+  };
+  return {
+    observedAt: q.observedAt,
+    tokensPerDayRemaining: remaining("tokensPerDay"),
+    tokensPerHourRemaining: remaining("tokensPerHour"),
+    tokensPerProjectPerHourRemaining: remaining("tokensPerProjectPerHour"),
+    concurrentRequestsRemaining: remaining("concurrentRequests"),
+  };
+}
+
+// ===== レスポンスキャッシュ =====
+// 正規化したリクエストをキーに GA の応答を保持する。今日を含む期間は短い TTL、過去のみの期間は長い TTL
+// GA_CACHE_BACKEND: 既定 "memory"。backend は get(key) / set(key, value, ttlMs) / delete(key) / clear()
+// （いずれも Promise 可）を満たせばよく、ファイルや Redis 互換ストアは CACHE_BACKENDS に足す
+const GA_CACHE_BACKEND = process.env.GA_CACHE_BACKEND || "memory";
+const GA_CACHE_MAX_ENTRIES = Number(process.env.GA_CACHE_MAX_ENTRIES || 500);
+const GA_CACHE_TTL_PAST_SEC = Number(process.env.GA_CACHE_TTL_PAST_SEC || 6 * 3600);
+const GA_CACHE_TTL_TODAY_SEC = Number(process.env.GA_CACHE_TTL_TODAY_SEC || 300);
+const GA_CACHE_TTL_METADATA_SEC = Number(process.env.GA_CACHE_TTL_METADATA_SEC || 24 * 3600);
+
+// 上限を超えたら最も古く使われたものから捨てる（Map の挿入順を LRU として使う）
+function createMemoryCacheBackend({ maxEntries = GA_CACHE_MAX_ENTRIES } = {}) {
+  const store = new Map();
+  return {
+    async get(key) {
+      const e = store.get(key);
+      if (!e) return undefined;
+      if (e.expiresAt <= Date.now()) {
+        store.delete(key);
+        return undefined;
+      }
+      store.delete(key);
+      store.set(key, e);
+      return e.value;
+    },
+    async set(key, value, ttlMs) {
+      store.delete(key);
+      store.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (store.size > maxEntries) store.delete(store.keys().next().value);
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    async clear() {
+      store.clear();
+    },
+  };
+}
+
+const CACHE_BACKENDS = {
+  memory: createMemoryCacheBackend,
+};
+
+function createCacheBackend(kind) {
+  const factory = CACHE_BACKENDS[kind];
+  if (!factory) throw new Error(`Unknown GA_CACHE_BACKEND: ${kind}`);
+  return factory();
+}
+
+const cacheBackend = createCacheBackend(GA_CACHE_BACKEND);
+// kind ごとのヒット/ミス数。内部の設定参照（propertySettings）はヒット率や監査ログの cacheHit に含めない
+const cacheStats = new Map(); // kind -> { hits, misses }
+const INTERNAL_CACHE_KINDS = new Set(["propertySettings"]);
+
+function countCacheLookup(kind, hit) {
+  const c = cacheStats.get(kind) ?? { hits: 0, misses: 0 };
+  c[hit ? "hits" : "misses"]++;
+  cacheStats.set(kind, c);
+  const stats = toolStats();
+  if (stats && !INTERNAL_CACHE_KINDS.has(kind)) stats[hit ? "cacheHits" : "cacheMisses"]++;
+}
+
+// キー順を揃え undefined を落とした JSON（同じ意味のリクエストを同じキーにする）
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map((x) => stableStringify(x ?? null)).join(",")}]`;
+  if (v && typeof v === "object") {
+    const keys = Object.keys(v).filter((k) => v[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+function cacheKey(kind, payload) {
+  return `${kind}:${createHash("sha256").update(stableStringify(payload)).digest("hex")}`;
+}
+
+// cache: "default" はキャッシュを使う、"bypass" は必ず取得し直して結果で上書きする
+async function withCache(kind, payload, { ttlSec, cache = "default" }, fetcher) {
+  const key = cacheKey(kind, payload);
+  if (cache !== "bypass") {
+    const hit = await cacheBackend.get(key);
+    if (hit !== undefined) {
+      countCacheLookup(kind, true);
+      return hit;
+    }
+  }
+  countCacheLookup(kind, false);
+  const value = await fetcher();
+  await cacheBackend.set(key, value, ttlSec * 1000);
+  return value;
+}
+
+// いずれかの期間が（プロパティのタイムゾーンで）今日を含むなら短い TTL
+async function reportCacheTtl(pid, dateRanges) {
+  const timeZone = await getPropertyTimeZone(pid);
+  const today = todayIn(timeZone);
+  for (const r of dateRanges) {
+    const end = resolvePresetRange(r.startDate, today)?.endDate ?? resolveDate(r.endDate, today);
+    if (!end || end >= today) return GA_CACHE_TTL_TODAY_SEC;
+  }
+  return GA_CACHE_TTL_PAST_SEC;
+}
+
+// ===== ページング =====
+// GA_MAX_ROWS: 1回のツール呼び出しで取得する行数の上限、GA_PAGE_SIZE: 1リクエストあたりの行数
+const GA_MAX_ROWS = Number(process.env.GA_MAX_ROWS || 10000);
+const GA_PAGE_SIZE = Number(process.env.GA_PAGE_SIZE || 10000);
+
+// 続きの取得用カーソル（offset + リクエスト指紋）。別リクエストへの流用は拒否する
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString("base64url");
+}
+
+function decodeCursor(cursor, fingerprint) {
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    c = null;
+  }
+  if (!c || !Number.isInteger(c.o) || c.o < 0) throw toolError("INVALID_CURSOR", "cursor が不正です。");
+  if (c.f !== fingerprint) {
+    throw toolError("INVALID_CURSOR", "cursor は別の条件のレポートのものです。同じ引数で呼び出して下さい。");
+  }
+  return c.o;
+}
+
+function pageInfo({ rowCount, truncated, pagesFetched, nextCursor }) {
+  return { rowCount, truncated, pagesFetched, nextCursor };
+}
+
+// 全行分の合計/最大/最小（GA の metricAggregations）と、返していない行をまとめた (other)
+function aggregationInfo({ totals, maximums, minimums, other }) {
+  return { totals: totals ?? null, maximums: maximums ?? null, minimums: minimums ?? null, other: other ?? null };
+}
+
+// 構成比を出すメトリクス：整数・通貨で、率や平均ではないもの
+function isShareableMetric(name, type) {
+  return (type === "TYPE_INTEGER" || type === "TYPE_CURRENCY") && !RATE_KEY_RE.test(name.split(":")[0]) && !/^average|Per[A-Z]/.test(name);
+}
+
+// (other) に差し引きで出せるもの（ユーザー数は行をまたいで重複するので除く）
+function isAdditiveMetric(name, type) {
+  return isShareableMetric(name, type) && !/users$/i.test(name.split(":")[0]);
+}
+
+// 各行に share（合計に対する構成比）を付け、切り詰められた分を (other) にまとめる。単一期間の先頭ページのみ
+function applyTotals(rows, { totals, metTypes, rowCount, truncated }) {
+  if (!totals || Array.isArray(totals)) return { rows, other: undefined };
+  const shareable = Object.keys(metTypes).filter((m) => isShareableMetric(m, metTypes[m]) && totals[m]);
+  const out = rows.map((r) => ({ ...r, share: Object.fromEntries(shareable.map((m) => [m, (r[m] || 0) / totals[m]])) }));
+  if (!truncated) return { rows: out, other: undefined };
+
+  const other = { label: "(other)", rows: Math.max(rowCount - rows.length, 0) };
+  for (const m of Object.keys(metTypes)) {
+    other[m] = isAdditiveMetric(m, metTypes[m]) ? Math.max((totals[m] || 0) - rows.reduce((s, r) => s + (r[m] || 0), 0), 0) : null;
+  }
+  other.share = Object.fromEntries(
+    shareable.filter((m) => other[m] !== null).map((m) => [m, other[m] / totals[m]])
+  );
+  return { rows: out, other };
+}
+
+// GA の行を { ディメンション名: 値, メトリクス名: 数値 } に平坦化
+function kvRows(rows, dimHeaders, metHeaders) {
+  return rows.map((r) => {
+    const out = {};
+    dimHeaders.forEach((name, i) => (out[name] = r.dimensionValues?.[i]?.value ?? ""));
+    metHeaders.forEach((name, i) => (out[name] = toNumber(r.metricValues?.[i]?.value)));
+    return out;
+  });
+}
+
+// 集計行（ディメンション値は RESERVED_TOTAL）をメトリクスだけの KV に。複数期間なら dateRange 付きの配列
+function totalsOf(aggregateRows, dimHeaders, metHeaders) {
+  if (!aggregateRows?.length) return undefined;
+  const list = kvRows(aggregateRows, dimHeaders, metHeaders).map((r) =>
+    Object.fromEntries(Object.entries(r).filter(([k, v]) => !dimHeaders.includes(k) || (k === "dateRange" && v)))
+  );
+  return list.length === 1 ? list[0] : list;
+}
+
+async function runReportKV({
+  propertyId: pid,
+  dimensions = [],
+  metrics = [],
+  startDate,
+  endDate,
+  dateRanges,
+  limit,
+  offset = 0,
+  cursor,
+  orderByMetric,
+  desc = true,
+  orderBys,
+  dimensionFilter,
+  metricFilter,
+  cache,
+}) {
+  await assertDimensionFilterFields(pid, dimensionFilter, metrics);
+  const request = {
+    property: `properties/${pid}`,
+    dateRanges: await Promise.all((dateRanges || [{ startDate, endDate }]).map((r) => toGaDateRange(pid, r))),
+    dimensions: dimensions.map((name) => ({ name })),
+    metrics: metrics.map((name) => ({ name })),
+    orderBys:
+      orderBys ||
+      (orderByMetric ? [{ metric: { metricName: orderByMetric }, desc }] : undefined),
+    dimensionFilter: dimensionFilter || undefined,
+    metricFilter: metricFilter || undefined,
+    metricAggregations: ["TOTAL", "MAXIMUM", "MINIMUM"],
+    returnPropertyQuota: true,
+  };
+  const fingerprint = createHash("sha1")
+    .update(JSON.stringify({ ...request, limit }))
+    .digest("hex")
+    .slice(0, 16);
+
+  const start = cursor ? decodeCursor(cursor, fingerprint) : offset;
+  const want = Math.min(limit ?? GA_MAX_ROWS, GA_MAX_ROWS);
+  const ttlSec = await reportCacheTtl(pid, request.dateRanges);
+
+  let dimHeaders = [];
+  let metHeaders = [];
+  let rowCount = 0;
+  let pagesFetched = 0;
+  let metTypes = {};
+  let aggregations;
+  const rows = [];
+
+  // rowCount に達するか want 行集まるまで offset を進めて取得
+  while (rows.length < want) {
+    const pageSize = Math.min(want - rows.length, GA_PAGE_SIZE);
+    const pageRequest = {
+      ...request,
+      limit: String(pageSize),
+      offset: start + rows.length ? String(start + rows.length) : undefined,
+    };
+    let resp;
+    try {
+      resp = await withCache("runReport", pageRequest, { ttlSec, cache }, async () => {
+        const [r] = await withRetry(() => gaClient.runReport(pageRequest), "runReport");
+        recordQuota(pid, r.propertyQuota);
+        return r;
+      });
+    } catch (e) {
+      // エラー結果で checkCompatibility / quota を引けるよう元の条件を残す
+      e.gaRequest ??= { pid, dimensions, metrics, dimensionFilter, metricFilter };
+      throw e;
+    }
+    pagesFetched++;
+    noteResponseMetadata(pid, resp.metadata);
+
+    dimHeaders = (resp.dimensionHeaders ?? []).map((h) => h.name || "");
+    metHeaders = (resp.metricHeaders ?? []).map((h) => h.name || "");
+    rowCount = toNumber(resp.rowCount);
+    metTypes = Object.fromEntries((resp.metricHeaders ?? []).map((h) => [h.name || "", h.type]));
+    aggregations ??= {
+      totals: totalsOf(resp.totals, dimHeaders, metHeaders),
+      maximums: totalsOf(resp.maximums, dimHeaders, metHeaders),
+      minimums: totalsOf(resp.minimums, dimHeaders, metHeaders),
+    };
+
+    const page = resp.rows ?? [];
+    rows.push(...kvRows(page, dimHeaders, metHeaders));
+
+    if (page.length < pageSize || start + rows.length >= rowCount) break;
+  }
+
+  const nextOffset = start + rows.length;
+  // (other) は「このページより後の行」の合計。前のページの値は手元に無いので、先頭以外のページ（cursor / offset で start > 0）では出さない
+  const truncated = start === 0 && nextOffset < rowCount;
+  const withShare = applyTotals(rows, { totals: aggregations?.totals, metTypes, rowCount, truncated });
+
+  return {
+    rows: withShare.rows,
+    dimHeaders,
+    metHeaders,
+    rowCount,
+    truncated: nextOffset < rowCount,
+    pagesFetched,
+    nextCursor: nextOffset < rowCount ? encodeCursor(nextOffset, fingerprint) : null,
+    ...aggregations,
+    other: withShare.other,
+  };
+}
+
+// 比較期間を同じ条件で取得して compareRows で突き合わせる
+// 単一ディメンションなら今期の行の値で inList 絞り込みし、必要な行だけ取得する
+// そのため前期間側の合計は絞り込み後のものになる。share と (other)（aggregations.other）は今期の合計から出す
+async function runComparedReport(query, currRows, ranges) {
+  const { dimensions = [], metrics = [] } = query;
+  let dimensionFilter = query.dimensionFilter;
+  if (dimensions.length === 1 && currRows.length) {
+    const values = [...new Set(currRows.map((r) => r[dimensions[0]]))];
+    dimensionFilter = andExpressions([
+      dimensionFilter,
+      { filter: { fieldName: dimensions[0], inListFilter: { values, caseSensitive: true } } },
+    ]);
+  }
+
+  const { rows: prevRows } = await runReportKV({
+    ...query,
+    dimensionFilter,
+    startDate: ranges.previous.startDate,
+    endDate: ranges.previous.endDate,
+    limit: undefined,
+  });
+  return compareRows(currRows, prevRows, dimensions, metrics);
+}
+
+// ===== ピボット =====
+// 集計行（metricAggregations: TOTAL）のディメンション値
+const PIVOT_TOTAL = "RESERVED_TOTAL";
+
+// 行ディメンション × 列ディメンションのピボットを取得し、メトリクスごとの行列に平坦化する
+async function runPivotMatrix({
+  propertyId: pid,
+  rowDimensions,
+  columnDimensions,
+  metrics,
+  startDate,
+  endDate,
+  rowLimit,
+  columnLimit,
+  dimensionFilter,
+  metricFilter,
+  cache,
+}) {
+  const pivot = (fieldNames, limit) => ({
+    fieldNames,
+    limit: String(limit),
+    orderBys: [{ metric: { metricName: metrics[0] }, desc: true }],
+    metricAggregations: ["TOTAL"],
+  });
+  await assertDimensionFilterFields(pid, dimensionFilter, metrics);
+  const request = {
+    property: `properties/${pid}`,
+    dateRanges: [await toGaDateRange(pid, { startDate, endDate })],
+    dimensions: [...rowDimensions, ...columnDimensions].map((name) => ({ name })),
+    metrics: metrics.map((name) => ({ name })),
+    pivots: [pivot(rowDimensions, rowLimit), pivot(columnDimensions, columnLimit)],
+    dimensionFilter: dimensionFilter || undefined,
+    metricFilter: metricFilter || undefined,
+    returnPropertyQuota: true,
+  };
+  const ttlSec = await reportCacheTtl(pid, request.dateRanges);
+
+  let resp;
+  try {
+    resp = await withCache("runPivotReport", request, { ttlSec, cache }, async () => {
+      const [r] = await withRetry(() => gaClient.runPivotReport(request), "runPivotReport");
+      recordQuota(pid, r.propertyQuota);
+      return r;
+    });
+  } catch (e) {
+    e.gaRequest ??= { pid, dimensions: [...rowDimensions, ...columnDimensions], metrics, dimensionFilter, metricFilter };
+    throw e;
+  }
+  noteResponseMetadata(pid, resp.metadata);
+
+  const keyOf = (values) => values.join(" / ");
+  const headerKeys = (h) =>
+    (h?.pivotDimensionHeaders ?? []).map((x) => keyOf((x.dimensionValues ?? []).map((v) => v.value ?? "")));
+  const rowKeys = headerKeys(resp.pivotHeaders?.[0]);
+  const colKeys = headerKeys(resp.pivotHeaders?.[1]);
+
+  const nRow = rowDimensions.length;
+  const metHeaders = (resp.metricHeaders ?? []).map((h) => h.name || "");
+  const metTypes = Object.fromEntries((resp.metricHeaders ?? []).map((h) => [h.name || "", h.type || ""]));
+  // 集計（RESERVED_TOTAL を含む行・列・全体の合計）は rows ではなく aggregates に入る
+  const cells = new Map(); // `${rowKey}\t${colKey}` -> { metric: value }
+  for (const r of [...(resp.rows ?? []), ...(resp.aggregates ?? [])]) {
+    const dims = (r.dimensionValues ?? []).map((v) => v.value ?? "");
+    const rowKey = keyOf(dims.slice(0, nRow));
+    const colKey = keyOf(dims.slice(nRow));
+    const values = {};
+    metHeaders.forEach((name, i) => (values[name] = toNumber(r.metricValues?.[i]?.value)));
+    cells.set(`${rowKey}\t${colKey}`, values);
+  }
+  const totalRowKey = keyOf(rowDimensions.map(() => PIVOT_TOTAL));
+  const totalColKey = keyOf(columnDimensions.map(() => PIVOT_TOTAL));
+  const rowKeyList = rowKeys.filter((k) => k !== totalRowKey);
+  const colKeyList = colKeys.filter((k) => k !== totalColKey);
+
+  // GA の集計が無いときは、加算できるメトリクスだけセルの合計で代用する
+  // （ユーザー数は行をまたいで重複し、率は足せないので null にして totalsSource: "unavailable" とする）
+  const matrix = {};
+  for (const metric of metHeaders) {
+    const additive = isAdditiveMetric(metric, metTypes[metric]);
+    const sources = new Set();
+    const total = (rowKey, colKey, parts) => {
+      const v = cells.get(`${rowKey}\t${colKey}`)?.[metric];
+      if (v !== undefined) {
+        sources.add("ga");
+        return v;
+      }
+      if (!additive) {
+        sources.add("unavailable");
+        return null;
+      }
+      sources.add("sum");
+      return parts.reduce((s, x) => s + (x ?? 0), 0);
+    };
+    const value = (rk, ck) => cells.get(`${rk}\t${ck}`)?.[metric] ?? 0;
+    const rows = rowKeyList.map((rk) => {
+      const values = Object.fromEntries(colKeyList.map((ck) => [ck, value(rk, ck)]));
+      return { row: rk, values, total: total(rk, totalColKey, Object.values(values)) };
+    });
+    const columnTotals = Object.fromEntries(
+      colKeyList.map((ck) => [ck, total(totalRowKey, ck, rowKeyList.map((rk) => value(rk, ck)))])
+    );
+    const grandTotal = total(totalRowKey, totalColKey, Object.values(columnTotals));
+    matrix[metric] = {
+      columns: colKeyList,
+      rows,
+      columnTotals,
+      grandTotal,
+      totalsSource: sources.size === 1 ? [...sources][0] : sources.size ? "mixed" : "ga",
+    };
+  }
+
+  const metricSources = new Set(Object.values(matrix).map((m) => m.totalsSource));
+  return {
+    matrix,
+    totalsSource: metricSources.size === 1 ? [...metricSources][0] : metricSources.size ? "mixed" : "ga",
+    rowCount: rowKeyList.length,
+    columnCount: colKeyList.length,
+    pivotRowCounts: (resp.pivotHeaders ?? []).map((h) => toNumber(h.rowCount)),
+    raw: {
+      pivotHeaders: resp.pivotHeaders ?? [],
+      dimensionHeaders: resp.dimensionHeaders ?? [],
+      metricHeaders: resp.metricHeaders ?? [],
+      rows: resp.rows ?? [],
+      aggregates: resp.aggregates ?? [],
+    },
+  };
+}
+
+// ===== コホート =====
+const COHORT_GRANULARITIES = {
+  daily: { api: "DAILY", dimension: "cohortNthDay", next: (iso, n) => addDays(iso, n) },
+  weekly: { api: "WEEKLY", dimension: "cohortNthWeek", next: (iso, n) => addDays(iso, n * 7) },
+  monthly: { api: "MONTHLY", dimension: "cohortNthMonth", next: (iso, n) => addMonths(iso, n) },
+};
+const COHORT_MAX_COHORTS = 24;
+
+// 獲得期間を粒度ごとのコホート（firstSessionDate の期間）に分割する
+function splitCohorts(range, granularity) {
+  const { next } = COHORT_GRANULARITIES[granularity];
+  const cohorts = [];
+  for (let start = range.startDate; start <= range.endDate; start = next(start, 1)) {
+    const end = addDays(next(start, 1), -1);
+    cohorts.push({ name: start, startDate: start, endDate: end < range.endDate ? end : range.endDate });
+  }
+  return cohorts;
+}
+
+// コホート × 経過期間のアクティブユーザー数と継続率
+async function runCohortMatrix({ propertyId: pid, startDate, endDate, granularity, periods, breakdownDimension, dimensionFilter, cache }) {
+  const range = await resolveDateRange(pid, { startDate, endDate });
+  const today = todayIn(range.timeZone);
+  const g = COHORT_GRANULARITIES[granularity];
+  const cohorts = splitCohorts(range, granularity);
+  if (cohorts.length > COHORT_MAX_COHORTS) {
+    throw toolError(
+      "INVALID_DATE_RANGE",
+      `コホート数が多すぎます（${cohorts.length} > ${COHORT_MAX_COHORTS}）。期間を短くするか粒度を粗くして下さい。`,
+      { cohorts: cohorts.length, granularity }
+    );
+  }
+
+  const dimensions = ["cohort", g.dimension, ...(breakdownDimension ? [breakdownDimension] : [])];
+  const metrics = ["cohortActiveUsers", "cohortTotalUsers"];
+  const request = {
+    property: `properties/${pid}`,
+    dimensions: dimensions.map((name) => ({ name })),
+    metrics: metrics.map((name) => ({ name })),
+    cohortSpec: {
+      cohorts: cohorts.map((c) => ({
+        name: c.name,
+        dimension: "firstSessionDate",
+        dateRange: { startDate: c.startDate, endDate: c.endDate },
+      })),
+      cohortsRange: { granularity: g.api, startOffset: 0, endOffset: periods },
+    },
+    dimensionFilter: dimensionFilter || undefined,
+    limit: "100000",
+    returnPropertyQuota: true,
+  };
+  const lastPeriodEnd = g.next(range.endDate, periods + 1);
+  const ttlSec = lastPeriodEnd > today ? GA_CACHE_TTL_TODAY_SEC : GA_CACHE_TTL_PAST_SEC;
+
+  let resp;
+  try {
+    resp = await withCache("runReport", request, { ttlSec, cache }, async () => {
+      const [r] = await withRetry(() => gaClient.runReport(request), "runReport");
+      recordQuota(pid, r.propertyQuota);
+      return r;
+    });
+  } catch (e) {
+    e.gaRequest ??= { pid, dimensions, metrics, dimensionFilter };
+    throw e;
+  }
+  noteResponseMetadata(pid, resp.metadata);
+
+  const dimHeaders = (resp.dimensionHeaders ?? []).map((h) => h.name || "");
+  const metHeaders = (resp.metricHeaders ?? []).map((h) => h.name || "");
+  const byKey = new Map();
+  for (const r of kvRows(resp.rows ?? [], dimHeaders, metHeaders)) {
+    const key = `${r.cohort}\t${breakdownDimension ? r[breakdownDimension] : ""}`;
+    if (!byKey.has(key)) byKey.set(key, { cohort: r.cohort, segment: breakdownDimension ? r[breakdownDimension] : null, cells: [] });
+    const entry = byKey.get(key);
+    entry.cells[toNumber(r[g.dimension])] = r.cohortActiveUsers;
+    entry.cohortUsers = Math.max(entry.cohortUsers || 0, r.cohortTotalUsers);
+  }
+
+  const round = (x) => Math.round(x * 10000) / 10000;
+  const rows = [];
+  for (const c of cohorts) {
+    const entries = [...byKey.values()].filter((e) => e.cohort === c.name);
+    for (const e of entries.length ? entries : [{ cohort: c.name, segment: null, cells: [], cohortUsers: 0 }]) {
+      const activeUsers = [];
+      const retention = [];
+      for (let k = 0; k <= periods; k++) {
+        // コホート開始日から見てまだ始まっていない期間は null
+        const started = g.next(c.startDate, k) <= today;
+        const v = started ? e.cells[k] ?? 0 : null;
+        activeUsers.push(v);
+        retention.push(v === null || !e.cohortUsers ? null : round(v / e.cohortUsers));
+      }
+      rows.push({
+        cohort: c.name,
+        startDate: c.startDate,
+        endDate: c.endDate,
+        ...(breakdownDimension ? { [breakdownDimension]: e.segment } : {}),
+        cohortUsers: e.cohortUsers || 0,
+        activeUsers,
+        retention,
+      });
+    }
+  }
+
+  // 経過期間ごとの加重平均（その期間に到達したコホートのみ）
+  const average = [];
+  for (let k = 0; k <= periods; k++) {
+    const reached = rows.filter((r) => r.activeUsers[k] !== null && r.cohortUsers);
+    const users = reached.reduce((s, r) => s + r.cohortUsers, 0);
+    average.push(users ? round(reached.reduce((s, r) => s + r.activeUsers[k], 0) / users) : null);
+  }
+
+  return {
+    acquisitionRange: { startDate: range.startDate, endDate: range.endDate },
+    timeZone: range.timeZone,
+    offsets: Array.from({ length: periods + 1 }, (_, k) => k),
+    rows,
+    averageRetention: average,
+  };
+}
+
+// ===== 異常検知 =====
+// series: 日付昇順の [{ date, value }]。各手法は判定できた点について { i, expected, scale } を返す
+const mean = (arr) => (arr.length ? arr.reduce((s, x) => s + x, 0) / arr.length : 0);
+
+function std(arr, mu) {
+  if (arr.length < 2) return 0;
+  const v = arr.reduce((s, x) => s + (x - mu) ** 2, 0) / (arr.length - 1);
+  return Math.sqrt(v);
+}
+
+function median(arr) {
+  if (!arr.length) return 0;
+  const xs = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(xs.length / 2);
+  return xs.length % 2 ? xs[mid] : (xs[mid - 1] + xs[mid]) / 2;
+}
+
+// 正規分布での標準偏差相当にスケールした MAD
+function mad(arr, med) {
+  return 1.4826 * median(arr.map((x) => Math.abs(x - med)));
+}
+
+// 中央値から k × MAD より離れた値をその境界に丸めてからの平均。外れ値に強く、外れ値がなければ平均とほぼ同じ精度
+function clippedMean(arr, k = 3) {
+  const med = median(arr);
+  const limit = k * mad(arr, med);
+  return mean(arr.map((x) => Math.min(Math.max(x, med - limit), med + limit)));
+}
+
+function dayOfWeek(iso) {
+  return isoToUtc(iso).getUTCDay();
+}
+
+// 直近 windowDays の平均/標準偏差（従来方式）
+function baselineMovingAverage(series, { windowDays }) {
+  const out = [];
+  for (let i = windowDays; i < series.length; i++) {
+    const window = series.slice(i - windowDays, i).map((x) => x.value);
+    const mu = mean(window);
+    out.push({ i, expected: mu, scale: std(window, mu) });
+  }
+  return out;
+}
+
+// 中心化7日移動平均（端は先頭/末尾の7日）。1 週間分を均すので曜日の季節性が消え、トレンドだけが残る
+function weeklyTrend(values) {
+  const n = values.length;
+  return values.map((_, i) => {
+    const from = Math.max(0, Math.min(i - 3, n - 7));
+    return mean(values.slice(from, from + 7));
+  });
+}
+
+// 期待値に対する残差の比。GA の日次値は水準に比例してばらつくので、曜日で水準が違っても同じ物差しで比べられる
+function relativeResiduals(values, expected) {
+  return values.map((v, i) => (expected[i] > 0 ? (v - expected[i]) / expected[i] : 0));
+}
+
+const DECOMPOSE_CLIP_K = 3;
+const DECOMPOSE_ITERATIONS = 3;
+
+// 外れ値の下処理：前後 3 週の同じ曜日の中央値との比が DECOMPOSE_CLIP_K × MAD を超える点はその中央値に置き換える。
+// 同じ曜日同士なら季節性の影響を受けず、1 日のスパイクが周りの日の基準に混ざらない
+function replaceWeekdayOutliers(values) {
+  const ref = values.map((_, i) =>
+    median([-21, -14, -7, 7, 14, 21].flatMap((d) => (i + d >= 0 && i + d < values.length ? [values[i + d]] : [])))
+  );
+  const res = relativeResiduals(values, ref);
+  const limit = DECOMPOSE_CLIP_K * mad(res, median(res));
+  return values.map((v, i) => (limit && Math.abs(res[i]) > limit ? ref[i] : v));
+}
+
+// 週次の分解：期待値 = トレンド（中心化7日移動平均）× 曜日係数（トレンドに対する比の曜日ごとの clippedMean、平均 1 に正規化）
+// 素の平均だと 1 日のスパイクがトレンドとその曜日の係数を膨らませ、同じ曜日の他の日がすべて外れて見える。
+// そのため外れ値を下処理したうえで、残差の比が DECOMPOSE_CLIP_K × MAD を超える点は期待値 × (1 ± DECOMPOSE_CLIP_K × MAD) に丸めて分解し直す
+function decomposeWeekly(series, values) {
+  let clipped = replaceWeekdayOutliers(values);
+  for (let k = 0; ; k++) {
+    const trend = weeklyTrend(clipped);
+    const ratios = Array.from({ length: 7 }, (_, d) =>
+      clippedMean(clipped.flatMap((v, i) => (dayOfWeek(series[i].date) === d && trend[i] ? [v / trend[i]] : [])))
+    );
+    const overall = mean(ratios.filter((r) => r));
+    const factor = ratios.map((r) => (overall && r ? r / overall : 1));
+    const expected = values.map((_, i) => trend[i] * factor[dayOfWeek(series[i].date)]);
+    if (k === DECOMPOSE_ITERATIONS) return { expected, factor };
+
+    const res = relativeResiduals(values, expected);
+    const limit = DECOMPOSE_CLIP_K * mad(res, median(res));
+    if (!limit) return { expected, factor };
+    clipped = values.map((v, i) => Math.min(Math.max(v, expected[i] * (1 - limit)), expected[i] * (1 + limit)));
+  }
+}
+
+function dowFactors(series) {
+  return decomposeWeekly(series, series.map((x) => x.value)).factor;
+}
+
+// 曜日係数で季節性を除いた値に移動平均を当て、曜日係数を掛け戻す
+function baselineDowAdjusted(series, { windowDays }) {
+  const factor = dowFactors(series);
+  const adjusted = series.map((x) => x.value / factor[dayOfWeek(x.date)]);
+
+  const out = [];
+  for (let i = windowDays; i < series.length; i++) {
+    const window = adjusted.slice(i - windowDays, i);
+    const mu = mean(window);
+    const f = factor[dayOfWeek(series[i].date)];
+    out.push({ i, expected: mu * f, scale: std(window, mu) * f });
+  }
+  return out;
+}
+
+// 曜日補正した値の直近 windowDays の中央値を期待値とし、期待値との差の MAD（全期間）でスコアリング
+// 平均/標準偏差と違い、外れ値そのものに基準が引きずられない
+function baselineRobust(series, { windowDays }) {
+  const factor = dowFactors(series);
+  const adjusted = series.map((x) => x.value / factor[dayOfWeek(x.date)]);
+
+  const points = [];
+  for (let i = windowDays; i < series.length; i++) {
+    points.push({ i, med: median(adjusted.slice(i - windowDays, i)) });
+  }
+  const residuals = points.map((p) => adjusted[p.i] - p.med);
+  const scale = mad(residuals, median(residuals));
+
+  return points.map(({ i, med }) => {
+    const f = factor[dayOfWeek(series[i].date)];
+    return { i, expected: med * f, scale: scale * f };
+  });
+}
+
+// STL 風：decomposeWeekly の期待値との差（期待値に対する比）の MAD でスコアリング
+function baselineStl(series) {
+  if (series.length < 14) return [];
+  const values = series.map((x) => x.value);
+  const { expected } = decomposeWeekly(series, values);
+  const residuals = relativeResiduals(values, expected);
+  const scale = mad(residuals, median(residuals));
+  return values.map((_, i) => ({ i, expected: expected[i], scale: scale * Math.max(expected[i], 0) }));
+}
+
+const ANOMALY_METHODS = {
+  moving_average: baselineMovingAverage,
+  dow_adjusted: baselineDowAdjusted,
+  robust: baselineRobust,
+  stl: baselineStl,
+};
+
+function severityLevel(severity) {
+  if (severity >= 2) return "high";
+  if (severity >= 1.5) return "medium";
+  return "low";
+}
+
+// 期待値 ± zThreshold × scale を信頼帯とし、外れた点を異常として返す
+// severity は |zScore| / zThreshold（1 以上、大きいほど深刻）
+function detectAnomalies(series, { method, windowDays, zThreshold }) {
+  const anomalies = [];
+  for (const { i, expected, scale } of ANOMALY_METHODS[method](series, { windowDays })) {
+    if (!scale) continue;
+    const value = series[i].value;
+    const zScore = (value - expected) / scale;
+    if (Math.abs(zScore) < zThreshold) continue;
+    const severity = Math.abs(zScore) / zThreshold;
+    anomalies.push({
+      date: series[i].date,
+      value,
+      expected,
+      lower: Math.max(0, expected - zThreshold * scale),
+      upper: expected + zThreshold * scale,
+      zScore,
+      severity,
+      severityLevel: severityLevel(severity),
+      direction: zScore > 0 ? "spike" : "drop",
+    });
+  }
+  return anomalies;
+}
+
+// 欠けている日（GA は 0 の日を返さない）を 0 で埋めた日次系列
+function fillDailySeries(valuesByDate, startIso, endIso) {
+  const series = [];
+  for (let d = startIso; d <= endIso; d = addDays(d, 1)) {
+    series.push({ date: d, value: valuesByDate.get(d) ?? 0 });
+  }
+  return series;
+}
+
+// ===== リアルタイム =====
+// 標準プロパティは直近30分、360 は直近60分まで
+const REALTIME_MAX_MINUTES = 60;
+
+// runRealtimeReport はキャッシュしない（数十秒で値が変わるため）
+async function runRealtimeKV({ propertyId: pid, dimensions = [], metrics = [], minutes = 30, limit, dimensionFilter, metricFilter }) {
+  const request = {
+    property: `properties/${pid}`,
+    dimensions: dimensions.map((name) => ({ name })),
+    metrics: metrics.map((name) => ({ name })),
+    minuteRanges: [{ startMinutesAgo: minutes - 1, endMinutesAgo: 0 }],
+    dimensionFilter: dimensionFilter || undefined,
+    metricFilter: metricFilter || undefined,
+    limit: limit ? String(limit) : undefined,
+    returnPropertyQuota: true,
+  };
+
+  let resp;
+  try {
+    [resp] = await withRetry(() => gaClient.runRealtimeReport(request), "runRealtimeReport");
+  } catch (e) {
+    e.gaRequest ??= { pid, dimensions, metrics, dimensionFilter, metricFilter };
+    throw e;
+  }
+  recordQuota(pid, resp.propertyQuota);
+
+  const dimHeaders = (resp.dimensionHeaders ?? []).map((h) => h.name || "");
+  const metHeaders = (resp.metricHeaders ?? []).map((h) => h.name || "");
+  return {
+    rows: kvRows(resp.rows ?? [], dimHeaders, metHeaders),
+    dimHeaders,
+    metHeaders,
+    rowCount: toNumber(resp.rowCount),
+  };
+}
+
+// プロパティのタイムゾーンでの現在日時
+function nowIn(timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(new Date())
+      .map((p) => [p.type, p.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour), minute: Number(parts.minute) };
+}
+
+// 直近 minutes 分の時計上の枠を { dayOffset, hour, minutes[] } の区間に分ける（dayOffset -1 は日付またぎ）
+function realtimeWindowSegments(now, minutes) {
+  const segments = new Map();
+  for (let k = 0; k < minutes; k++) {
+    const total = now.hour * 60 + now.minute - k;
+    const dayOffset = total < 0 ? -1 : 0;
+    const t = (total + 1440) % 1440;
+    const hour = Math.floor(t / 60);
+    const key = `${dayOffset}:${hour}`;
+    if (!segments.has(key)) segments.set(key, { dayOffset, hour, minutes: [] });
+    segments.get(key).minutes.push(t % 60);
+  }
+  return [...segments.values()];
+}
+
+// 過去 days 日分の「同じ時間帯」の activeUsers（日次データのベースライン）
+// 日付をまたがない枠は date 単位の重複なしユーザー数。またぐ場合は時間ごとの値を合算するため概算
+async function realtimeBaseline(pid, { minutes, days, cache }) {
+  const timeZone = await getPropertyTimeZone(pid);
+  const now = nowIn(timeZone);
+  const segments = realtimeWindowSegments(now, minutes);
+  const pad = (n) => String(n).padStart(2, "0");
+  const exact = (fieldName, value) => ({ filter: { fieldName, stringFilter: { matchType: "EXACT", value } } });
+
+  const dimensionFilter = {
+    orGroup: {
+      expressions: segments.map((s) => ({
+        andGroup: {
+          expressions: [
+            exact("hour", pad(s.hour)),
+            { filter: { fieldName: "minute", inListFilter: { values: s.minutes.map(pad) } } },
+          ],
+        },
+      })),
+    },
+  };
+  const crossesMidnight = segments.some((s) => s.dayOffset < 0);
+  const dimensions = crossesMidnight ? ["date", "hour"] : ["date"];
+
+  const { rows } = await runReportKV({
+    propertyId: pid,
+    cache,
+    dimensions,
+    metrics: ["activeUsers"],
+    startDate: addDays(now.date, -days - (crossesMidnight ? 1 : 0)),
+    endDate: addDays(now.date, -1),
+    dimensionFilter,
+  });
+
+  // 枠の終わりの日付ごとに集計
+  const lateHours = new Set(segments.filter((s) => s.dayOffset < 0).map((s) => pad(s.hour)));
+  const byDate = new Map();
+  for (const r of rows) {
+    const date = yyyymmddToIso(r.date);
+    const windowDate = crossesMidnight && lateHours.has(r.hour) ? addDays(date, 1) : date;
+    byDate.set(windowDate, (byDate.get(windowDate) || 0) + (r.activeUsers || 0));
+  }
+
+  const series = [];
+  for (let d = days; d >= 1; d--) {
+    const date = addDays(now.date, -d);
+    series.push({ date, activeUsers: byDate.get(date) || 0 });
+  }
+  const values = series.map((x) => x.activeUsers);
+  return {
+    timeZone,
+    window: {
+      from: `${pad(segments.at(-1).hour)}:${pad(segments.at(-1).minutes.at(-1))}`,
+      to: `${pad(now.hour)}:${pad(now.minute)}`,
+    },
+    approximate: crossesMidnight,
+    days: series,
+    mean: Math.round(mean(values) * 10) / 10,
+    median: median(values),
+  };
+}
+
+// ===== Metadata =====
+async function getMetadata(pid, { cache } = {}) {
+  const name = `properties/${pid}/metadata`;
+  return withCache("getMetadata", { name }, { ttlSec: GA_CACHE_TTL_METADATA_SEC, cache }, async () => {
+    const [meta] = await withRetry(() => gaClient.getMetadata({ name }), "getMetadata");
+    return meta;
+  });
+}
+
+// キーイベント（Admin API v1beta を REST で取得）。Admin API が使えない場合は metadata の keyEvents:<event> から推定
+async function getKeyEvents(pid, { cache } = {}) {
+  try {
+    return await withCache("keyEvents", { pid }, { ttlSec: GA_CACHE_TTL_METADATA_SEC, cache }, async () => {
+      const keyEvents = [];
+      let pageToken = "";
+      do {
+        const url =
+          `https://analyticsadmin.googleapis.com/v1beta/properties/${pid}/keyEvents?pageSize=200` +
+          (pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : "");
+        const page = await withRetry(() => googleRestRequest(url, { label: "Admin API" }), "listKeyEvents");
+        keyEvents.push(...(page.keyEvents ?? []));
+        pageToken = page.nextPageToken;
+      } while (pageToken);
+      return {
+        source: "admin_api",
+        keyEvents: keyEvents.map((k) => ({
+          eventName: k.eventName,
+          countingMethod: k.countingMethod ?? null,
+          custom: !!k.custom,
+          createTime: k.createTime ?? null,
+        })),
+      };
+    });
+  } catch (e) {
+    // 推定結果はキャッシュしない（次回また Admin API を試す）
+    const meta = await getMetadata(pid, { cache });
+    return {
+      source: "metadata",
+      error: formatErr(e),
+      keyEvents: (meta.metrics ?? [])
+        .filter((m) => /^keyEvents:/.test(m.apiName))
+        .map((m) => ({ eventName: m.apiName.slice("keyEvents:".length), countingMethod: null, custom: null, createTime: null })),
+    };
+  }
+}
+
+function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+// typo 候補：部分一致を優先し、残りは編集距離の近い順
+function closeMatches(name, candidates, n = 5) {
+  const q = String(name).toLowerCase();
+  return candidates
+    .map((c) => {
+      const lc = c.toLowerCase();
+      const d = levenshtein(q, lc);
+      return { c, score: lc.includes(q) || q.includes(lc) ? d / 2 : d };
+    })
+    .filter((x) => x.score <= Math.max(3, q.length / 2))
+    .sort((a, b) => a.score - b.score)
+    .slice(0, n)
+    .map((x) => x.c);
+}
+
+// dimensions/metrics 名を metadata と照合し、不明な名前と候補を返す（空配列なら OK）
+// "sessionKeyEventRate:purchase" のようなキーイベント別メトリクスはベース名で判定
+async function findUnknownFields(pid, { dimensions = [], metrics = [] }, { cache } = {}) {
+  const meta = await getMetadata(pid, { cache });
+  const dimNames = (meta.dimensions ?? []).map((d) => d.apiName);
+  const metNames = (meta.metrics ?? []).map((m) => m.apiName);
+  const dimSet = new Set(dimNames);
+  const metSet = new Set(metNames);
+
+  const unknown = [];
+  for (const name of dimensions) {
+    if (!dimSet.has(name)) {
+      unknown.push({ kind: "dimension", name, suggestions: closeMatches(name, dimNames) });
+    }
+  }
+  for (const name of metrics) {
+    if (metSet.has(name) || metSet.has(name.split(":")[0])) continue;
+    unknown.push({ kind: "metric", name, suggestions: closeMatches(name, metNames) });
+  }
+  return unknown;
+}
+
+async function assertKnownFields(pid, fields, opts) {
+  const unknownFields = await findUnknownFields(pid, fields, opts);
+  if (unknownFields.length) {
+    throw toolError(
+      "UNKNOWN_FIELD",
+      "不明なディメンション/メトリクスがあります。details.unknownFields の suggestions を確認して下さい。",
+      { unknownFields }
+    );
+  }
+}
+
+function filterFieldNames(expr, out = []) {
+  if (!expr) return out;
+  if (expr.filter?.fieldName) out.push(expr.filter.fieldName);
+  for (const x of expr.andGroup?.expressions ?? expr.orGroup?.expressions ?? []) filterFieldNames(x, out);
+  filterFieldNames(expr.notExpression, out);
+  return out;
+}
+
+// parseFilter はツールの metrics に無い名前をディメンションとして扱うため、
+// そのまま送ると GA から分かりにくいエラーが返る。metadata でメトリクスと分かる名前は DSL のエラーにする
+// metadata が取れないときは確認せずに GA に任せる
+async function assertDimensionFilterFields(pid, dimensionFilter, metrics) {
+  const fields = filterFieldNames(dimensionFilter);
+  if (!fields.length) return;
+  let metSet;
+  try {
+    metSet = new Set(((await getMetadata(pid)).metrics ?? []).map((m) => m.apiName));
+  } catch {
+    return;
+  }
+  const field = fields.find((f) => metSet.has(f) || metSet.has(f.split(":")[0]));
+  if (field) {
+    throw toolError(
+      "FILTER_PARSE_ERROR",
+      `フィルタの "${field}" はメトリクスです。このツールで絞り込めるメトリクスは ${metrics.join(", ") || "ありません"}。`,
+      { field, metrics }
+    );
+  }
+}
+
+const isIncompatible = (c) => c.compatibility === "INCOMPATIBLE" || c.compatibility === 2;
+
+// Data API の checkCompatibility。指定した組み合わせと一緒に使えるかを全ディメンション/メトリクスについて返す
+async function checkCompatibility(pid, { dimensions = [], metrics = [], dimensionFilter, metricFilter }, { cache } = {}) {
+  const request = {
+    property: `properties/${pid}`,
+    dimensions: dimensions.map((name) => ({ name })),
+    metrics: metrics.map((name) => ({ name })),
+    dimensionFilter: dimensionFilter || undefined,
+    metricFilter: metricFilter || undefined,
+  };
+  const resp = await withCache("checkCompatibility", request, { ttlSec: GA_CACHE_TTL_METADATA_SEC, cache }, async () => {
+    const [r] = await withRetry(() => gaClient.checkCompatibility(request), "checkCompatibility");
+    return r;
+  });
+
+  const dims = (resp.dimensionCompatibilities ?? []).map((c) => ({
+    apiName: c.dimensionMetadata?.apiName,
+    uiName: c.dimensionMetadata?.uiName,
+    compatible: !isIncompatible(c),
+  }));
+  const mets = (resp.metricCompatibilities ?? []).map((c) => ({
+    apiName: c.metricMetadata?.apiName,
+    uiName: c.metricMetadata?.uiName,
+    compatible: !isIncompatible(c),
+  }));
+
+  return {
+    dimensions: dims,
+    metrics: mets,
+    incompatibleDimensions: dims.filter((d) => !d.compatible && dimensions.includes(d.apiName)).map((d) => d.apiName),
+    incompatibleMetrics: mets.filter((m) => !m.compatible && metrics.includes(m.apiName)).map((m) => m.apiName),
+  };
+}
+
+// 非互換の項目と、それを外した残りの条件と両立する同カテゴリの代替候補
+async function compatibilityReport(pid, fields, { cache } = {}) {
+  const { dimensions = [], metrics = [] } = fields;
+  const c = await checkCompatibility(pid, fields, { cache });
+  const compatible = !c.incompatibleDimensions.length && !c.incompatibleMetrics.length;
 
-  const tokenInPath = req.params?.token;
-  if (MCP_PATH_TOKEN && tokenInPath === MCP_PATH_TOKEN) return true;
+  const alternatives = {};
+  if (!compatible) {
+    const rest = {
+      ...fields,
+      dimensions: dimensions.filter((d) => !c.incompatibleDimensions.includes(d)),
+      metrics: metrics.filter((m) => !c.incompatibleMetrics.includes(m)),
+    };
+    const [restCompat, meta] = await Promise.all([
+      checkCompatibility(pid, rest, { cache }),
+      getMetadata(pid, { cache }),
+    ]);
+    const categoryOf = new Map(
+      [...(meta.dimensions ?? []), ...(meta.metrics ?? [])].map((x) => [x.apiName, x.category])
+    );
+    const pick = (name, list, used) => {
+      const candidates = list
+        .filter((x) => x.compatible && !used.includes(x.apiName) && categoryOf.get(x.apiName) === categoryOf.get(name))
+        .map((x) => x.apiName);
+      const near = closeMatches(name, candidates);
+      return [...near, ...candidates.filter((x) => !near.includes(x))].slice(0, 5);
+    };
+    for (const d of c.incompatibleDimensions) alternatives[d] = pick(d, restCompat.dimensions, dimensions);
+    for (const m of c.incompatibleMetrics) alternatives[m] = pick(m, restCompat.metrics, metrics);
+  }
 
-  const headerKey = req.header("x-api-key");
-  if (MCP_API_KEY && headerKey && headerKey === MCP_API_KEY) return true;
+  const status = (list, names) =>
+    names.map((name) => ({ apiName: name, compatible: list.find((x) => x.apiName === name)?.compatible ?? null }));
+  return {
+    compatible,
+    dimensions: status(c.dimensions, dimensions),
+    metrics: status(c.metrics, metrics),
+    drop: { dimensions: c.incompatibleDimensions, metrics: c.incompatibleMetrics },
+    alternatives,
+  };
+}
 
-  return false;
+// ===== フィルタDSL =====
+// 例: country == "Japan" and (landingPage contains "/lp/" or sessions >= 10)
+//   文字列: == != contains begins_with ends_with matches(完全一致正規表現) =~(部分一致正規表現)
+//   リスト: in ("a", "b")   数値: == != > >= < <=  between 1 and 10
+//   論理: and / or / not / ( )
+// contains/begins_with/ends_with は大文字小文字を区別しない
+function filterError(message, pos, text) {
+  return toolError(
+    "FILTER_PARSE_ERROR",
+    `フィルタ構文エラー（位置 ${pos}）: ${message}\n  ${text}\n  ${" ".repeat(pos)}^`,
+    { position: pos }
+  );
 }
 
-// ===== GAクライアント =====
-const gaClient = new BetaAnalyticsDataClient();
+const FILTER_KEYWORDS = new Set(["and", "or", "not", "in", "between", "contains", "begins_with", "ends_with", "matches"]);
 
-function toNumber(v) {
-  if (v == null) return 0;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : 0;
+function tokenizeFilter(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    const start = i;
+    if (ch === '"' || ch === "'") {
+      let value = "";
+      i++;
+      while (i < text.length && text[i] !== ch) {
+        if (text[i] === "\\" && i + 1 < text.length) i++;
+        value += text[i++];
+      }
+      if (i >= text.length) throw filterError("文字列が閉じられていません", start, text);
+      i++;
+      tokens.push({ type: "string", value, pos: start });
+      continue;
+    }
+    const num = text.slice(i).match(/^-?\d+(\.\d+)?(?![\w:])/);
+    if (num) {
+      i += num[0].length;
+      tokens.push({ type: "number", value: num[0], pos: start });
+      continue;
+    }
+    const op = text.slice(i).match(/^(==|!=|>=|<=|=~|>|<|\(|\)|\[|\]|,)/);
+    if (op) {
+      i += op[0].length;
+      tokens.push({ type: "op", value: op[0], pos: start });
+      continue;
+    }
+    const word = text.slice(i).match(/^[A-Za-z_][\w:.]*/);
+    if (word) {
+      i += word[0].length;
+      const lower = word[0].toLowerCase();
+      tokens.push(
+        FILTER_KEYWORDS.has(lower)
+          ? { type: "keyword", value: lower, pos: start }
+          : { type: "ident", value: word[0], pos: start }
+      );
+      continue;
+    }
+    throw filterError(`不正な文字 "${ch}"`, start, text);
+  }
+  tokens.push({ type: "eof", value: "", pos: text.length });
+  return tokens;
 }
 
-function yyyymmddToIso(s) {
-  if (!s || s.length !== 8) return s;
-  return `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}`;
+// 構文木: { type: "and"|"or", items } | { type: "not", item } | { type: "cmp", field, filter }
+function parseFilterAst(text) {
+  const tokens = tokenizeFilter(text);
+  let k = 0;
+  const peek = () => tokens[k];
+  const next = () => tokens[k++];
+  const is = (type, value) => peek().type === type && (value == null || peek().value === value);
+  const expect = (type, value, what) => {
+    if (!is(type, value)) {
+      const t = peek();
+      throw filterError(`${what} が必要です（"${t.value || "終端"}" があります）`, t.pos, text);
+    }
+    return next();
+  };
+
+  const numericValue = (tok) =>
+    /[.]/.test(tok.value) ? { doubleValue: Number(tok.value) } : { int64Value: tok.value };
+
+  function parseValueList() {
+    const close = is("op", "[") ? "]" : ")";
+    if (!is("op", "[")) expect("op", "(", "( または [");
+    else next();
+    const values = [expect("string", null, "文字列").value];
+    while (is("op", ",")) {
+      next();
+      values.push(expect("string", null, "文字列").value);
+    }
+    expect("op", close, close);
+    return values;
+  }
+
+  function parseComparison() {
+    const field = expect("ident", null, "フィールド名");
+    const t = next();
+    const op = t.value;
+    const cmp = (filter) => ({ type: "cmp", field: field.value, filter });
+
+    if (t.type === "op" && (op === "==" || op === "!=")) {
+      const v = next();
+      let node;
+      if (v.type === "string") node = cmp({ stringFilter: { matchType: "EXACT", value: v.value, caseSensitive: true } });
+      else if (v.type === "number") node = cmp({ numericFilter: { operation: "EQUAL", value: numericValue(v) } });
+      else throw filterError("文字列または数値が必要です", v.pos, text);
+      return op === "!=" ? { type: "not", item: node } : node;
+    }
+    if (t.type === "op" && [">", ">=", "<", "<="].includes(op)) {
+      const v = expect("number", null, "数値");
+      const operation = { ">": "GREATER_THAN", ">=": "GREATER_THAN_OR_EQUAL", "<": "LESS_THAN", "<=": "LESS_THAN_OR_EQUAL" }[op];
+      return cmp({ numericFilter: { operation, value: numericValue(v) } });
+    }
+    if (t.type === "op" && op === "=~") {
+      const v = expect("string", null, "正規表現（文字列）");
+      return cmp({ stringFilter: { matchType: "PARTIAL_REGEXP", value: v.value, caseSensitive: true } });
+    }
+    if (t.type === "keyword") {
+      const stringOps = { contains: "CONTAINS", begins_with: "BEGINS_WITH", ends_with: "ENDS_WITH", matches: "FULL_REGEXP" };
+      if (stringOps[op]) {
+        const v = expect("string", null, "文字列");
+        return cmp({
+          stringFilter: { matchType: stringOps[op], value: v.value, caseSensitive: op === "matches" },
+        });
+      }
+      if (op === "in") {
+        return cmp({ inListFilter: { values: parseValueList(), caseSensitive: true } });
+      }
+      if (op === "between") {
+        const from = expect("number", null, "数値");
+        expect("keyword", "and", "and");
+        const to = expect("number", null, "数値");
+        return cmp({ betweenFilter: { fromValue: numericValue(from), toValue: numericValue(to) } });
+      }
+    }
+    throw filterError(`不明な演算子 "${op || "終端"}"`, t.pos, text);
+  }
+
+  function parseUnary() {
+    if (is("keyword", "not")) {
+      next();
+      return { type: "not", item: parseUnary() };
+    }
+    if (is("op", "(")) {
+      next();
+      const node = parseOr();
+      expect("op", ")", ")");
+      return node;
+    }
+    return parseComparison();
+  }
+
+  function parseGroup(type, parseItem) {
+    const items = [parseItem()];
+    while (is("keyword", type)) {
+      next();
+      items.push(parseItem());
+    }
+    return items.length === 1 ? items[0] : { type, items };
+  }
+
+  function parseAnd() {
+    return parseGroup("and", parseUnary);
+  }
+
+  function parseOr() {
+    return parseGroup("or", parseAnd);
+  }
+
+  if (is("eof")) throw filterError("空のフィルタです", 0, text);
+  const ast = parseOr();
+  if (!is("eof")) throw filterError(`"${peek().value}" の位置で式が終わっていません`, peek().pos, text);
+  return ast;
 }
 
-function safePctChange(curr, prev) {
-  if (!prev) return null;
-  return (curr - prev) / prev;
+// 構文木が参照するフィールドの種別（"dimension" | "metric" | "mixed"）
+function filterAstKind(node, metricSet) {
+  if (node.type === "cmp") return metricSet.has(node.field) ? "metric" : "dimension";
+  const kinds = new Set((node.items ?? [node.item]).map((x) => filterAstKind(x, metricSet)));
+  return kinds.size === 1 ? [...kinds][0] : "mixed";
+}
+
+function filterAstToExpression(node) {
+  if (node.type === "cmp") return { filter: { fieldName: node.field, ...node.filter } };
+  if (node.type === "not") return { notExpression: filterAstToExpression(node.item) };
+  const expressions = node.items.map(filterAstToExpression);
+  return node.type === "and" ? { andGroup: { expressions } } : { orGroup: { expressions } };
+}
+
+function andExpressions(list) {
+  const xs = list.filter(Boolean);
+  if (!xs.length) return undefined;
+  return xs.length === 1 ? xs[0] : { andGroup: { expressions: xs } };
+}
+
+// DSL 文字列を GA4 の dimensionFilter / metricFilter に分割して返す
+// metrics に含まれる名前は metricFilter、それ以外は dimensionFilter として扱う
+function parseFilter(text, metrics = []) {
+  if (!text || !String(text).trim()) return {};
+  const ast = parseFilterAst(String(text));
+  const metricSet = new Set(metrics);
+
+  const dims = [];
+  const mets = [];
+  for (const item of ast.type === "and" ? ast.items : [ast]) {
+    const kind = filterAstKind(item, metricSet);
+    if (kind === "mixed") {
+      throw filterError("or / not の中でディメンションとメトリクスは混在できません", 0, String(text));
+    }
+    (kind === "metric" ? mets : dims).push(filterAstToExpression(item));
+  }
+  return { dimensionFilter: andExpressions(dims), metricFilter: andExpressions(mets) };
+}
+
+// ===== Funnel（v1alpha）は REST で叩く：alpha client 依存で起動が落ちるのを避ける =====
+async function runFunnelReportViaRest(pid, body, { cache } = {}) {
+  const url = `https://analyticsdata.googleapis.com/v1alpha/properties/${pid}:runFunnelReport`;
+  const ttlSec = await reportCacheTtl(pid, body.dateRanges);
+  return withCache("runFunnelReport", { url, body }, { ttlSec, cache }, () =>
+    withRetry(() => postFunnelReport(url, body), "runFunnelReport")
+  );
+}
+
+async function postFunnelReport(url, body) {
+  return googleRestRequest(url, { method: "POST", body, label: "Funnel API" });
 }
 
-// "7daysAgo" + "yesterday" 形式に強い前期間推定
-function computePreviousPeriod(startDate, endDate) {
-  const m = String(startDate).match(/^(\d+)daysAgo$/);
-  if (!m) return null;
-  const n = Number(m[1]);
+// クライアントライブラリを使わない Google API（Funnel v1alpha / Admin API）の呼び出し
+// timeoutMs: 応答（本文の読み込みまで）の上限。超えたら DEADLINE_EXCEEDED
+async function googleRestRequest(url, { method = "GET", body, label, timeoutMs = GA_REST_TIMEOUT_MS }) {
+  // gaClient.auth は GoogleAuth。ここから署名済みヘッダーを作る
+  // google-auth-library v10 以降は WHATWG Headers を返す（スプレッドでは中身が写らない）ので Headers で組み立てる
+  const authClient = await gaClient.auth.getClient();
+  const headers = new Headers(await authClient.getRequestHeaders(url));
+  if (body) headers.set("content-type", "application/json");
 
-  if (endDate === "yesterday") {
-    return { startDate: `${2 * n}daysAgo`, endDate: `${n + 1}daysAgo` };
+  let resp;
+  let text;
+  try {
+    resp = await fetch(url, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    text = await resp.text();
+  } catch (e) {
+    if (e?.name === "TimeoutError") {
+      throw toolError("DEADLINE_EXCEEDED", `${label} が ${timeoutMs}ms 以内に応答しませんでした。`);
+    }
+    throw e;
   }
-  if (endDate === "today") {
-    return { startDate: `${2 * n - 1}daysAgo`, endDate: `${n}daysAgo` };
+  if (!resp.ok) {
+    const err = new Error(`${label} error ${resp.status}: ${text}`);
+    // REST のエラー本文 { error: { status: "RESOURCE_EXHAUSTED", ... } } からコードを拾う
+    try {
+      err.code = JSON.parse(text)?.error?.status;
+    } catch {
+      err.code = undefined;
+    }
+    err.code ||= { 429: "RESOURCE_EXHAUSTED", 503: "UNAVAILABLE" }[resp.status];
+    throw err;
   }
-  return null;
+  return JSON.parse(text);
 }
 
-function jsonText(obj) {
-  return { content: [{ type: "text", text: JSON.stringify(obj, null, 2) }] };
+// FilterExpression の葉（filter）を別の形に置き換える（andGroup/orGroup/notExpression は Funnel/Segment でも同名）
+function mapFilterLeaves(expr, leaf) {
+  if (expr.filter) return leaf(expr.filter);
+  if (expr.notExpression) return { notExpression: mapFilterLeaves(expr.notExpression, leaf) };
+  const [key] = Object.keys(expr);
+  return { [key]: { expressions: expr[key].expressions.map((x) => mapFilterLeaves(x, leaf)) } };
 }
 
-function formatErr(e) {
-  const msg = e?.message || String(e);
-  return msg.length > 800 ? msg.slice(0, 800) + "..." : msg;
+function dslToExpression(text) {
+  return filterAstToExpression(parseFilterAst(String(text)));
 }
 
-async function runReportKV({
-  dimensions = [],
-  metrics = [],
-  startDate,
-  endDate,
-  limit,
-  orderByMetric,
-  desc = true,
-  dimensionFilter,
-}) {
-  const [resp] = await gaClient.runReport({
-    property: `properties/${GA4_PROPERTY_ID}`,
-    dateRanges: [{ startDate, endDate }],
-    dimensions: dimensions.map((name) => ({ name })),
-    metrics: metrics.map((name) => ({ name })),
-    limit: limit != null ? String(limit) : undefined,
-    orderBys: orderByMetric
-      ? [{ metric: { metricName: orderByMetric }, desc }]
-      : undefined,
-    dimensionFilter: dimensionFilter || undefined,
+// ステップ条件：イベント名（複数なら OR）+ イベントパラメータの DSL（item. 始まりはアイテムパラメータ）+ ディメンションの DSL
+function buildFunnelStepExpression(step) {
+  const events = [step.eventName ?? []].flat();
+  const params = [step.parameterFilter && dslToExpression(step.parameterFilter)];
+  if (step.pageLocationContains) {
+    params.push({
+      filter: {
+        fieldName: "page_location",
+        stringFilter: { matchType: "CONTAINS", value: step.pageLocationContains, caseSensitive: false },
+      },
+    });
+  }
+  const paramExpr = andExpressions(params);
+  const funnelParameterFilterExpression =
+    paramExpr &&
+    mapFilterLeaves(paramExpr, ({ fieldName, ...f }) => ({
+      funnelParameterFilter: fieldName.startsWith("item.")
+        ? { itemParameterName: fieldName.slice("item.".length), ...f }
+        : { eventParameterName: fieldName, ...f },
+    }));
+  if (funnelParameterFilterExpression && !events.length) {
+    throw toolError("INVALID_ARGUMENT", `ステップ "${step.name}": parameterFilter には eventName が必要です。`, { step });
+  }
+
+  const eventExprs = events.map((eventName) => ({ funnelEventFilter: { eventName, funnelParameterFilterExpression } }));
+  const eventExpr = eventExprs.length > 1 ? { orGroup: { expressions: eventExprs } } : eventExprs[0];
+  const fieldExpr =
+    step.filter && mapFilterLeaves(dslToExpression(step.filter), (f) => ({ funnelFieldFilter: f }));
+
+  const expr = andExpressions([eventExpr, fieldExpr]);
+  if (!expr) throw toolError("INVALID_ARGUMENT", `ステップ "${step.name}": eventName か filter を指定して下さい。`, { step });
+  return expr;
+}
+
+const SEGMENT_SCOPES = {
+  user: { segment: "userSegment", criteria: "userInclusionCriteria", scoping: "ACROSS_ALL_SESSIONS" },
+  session: { segment: "sessionSegment", criteria: "sessionInclusionCriteria", scoping: "WITHIN_SAME_SESSION" },
+  event: { segment: "eventSegment", criteria: "eventInclusionCriteria", scoping: "WITHIN_SAME_EVENT" },
+};
+
+// セグメント：DSL の条件を満たすユーザー/セッション/イベントに絞った系列を追加する
+function buildSegment({ name, scope, filter }) {
+  const s = SEGMENT_SCOPES[scope];
+  const segmentFilterExpression = mapFilterLeaves(dslToExpression(filter), (f) => ({ segmentFilter: f }));
+  return {
+    name,
+    [s.segment]: {
+      [s.criteria]: { andConditionGroups: [{ conditionScoping: s.scoping, segmentFilterExpression }] },
+    },
+  };
+}
+
+// funnelTable を系列（ブレークダウン値/セグメント）ごとのステップ配列に変換
+function parseFunnelTable(table, stepNames) {
+  const dimHeaders = (table?.dimensionHeaders ?? []).map((h) => h.name || "");
+  const metHeaders = (table?.metricHeaders ?? []).map((h) => h.name || "");
+  const seriesDims = dimHeaders.filter((d) => d !== "funnelStepName");
+
+  const groups = new Map();
+  for (const r of kvRows(table?.rows ?? [], dimHeaders, metHeaders)) {
+    const labels = Object.fromEntries(seriesDims.map((d) => [d, r[d] === PIVOT_TOTAL ? "(total)" : r[d]]));
+    const key = JSON.stringify(labels);
+    if (!groups.has(key)) groups.set(key, { labels, byStep: new Map() });
+    // funnelStepName は "1. ステップ名"
+    const index = Number(String(r.funnelStepName).match(/^(\d+)\./)?.[1]) - 1;
+    groups.get(key).byStep.set(index, r);
+  }
+
+  const round = (x) => (x == null ? null : Math.round(x * 10000) / 10000);
+  return [...groups.values()].map(({ labels, byStep }) => {
+    const users = stepNames.map((_, i) => byStep.get(i)?.activeUsers ?? 0);
+    const steps = stepNames.map((name, i) => {
+      const r = byStep.get(i) ?? {};
+      const next = users[i + 1];
+      return {
+        step: i + 1,
+        name,
+        users: users[i],
+        completionRate: round(r.funnelStepCompletionRate ?? (next === undefined || !users[i] ? null : next / users[i])),
+        abandonments: r.funnelStepAbandonments ?? (next === undefined ? 0 : users[i] - next),
+        abandonmentRate: round(r.funnelStepAbandonmentRate ?? (next === undefined || !users[i] ? null : 1 - next / users[i])),
+        dropOff: next === undefined ? null : users[i] - next,
+        rateFromStart: round(users[0] ? users[i] / users[0] : null),
+      };
+    });
+    return { ...labels, steps, overallCompletionRate: round(users[0] ? users.at(-1) / users[0] : null) };
   });
+}
 
-  const dimHeaders = (resp.dimensionHeaders ?? []).map((h) => h.name || "");
-  const metHeaders = (resp.metricHeaders ?? []).map((h) => h.name || "");
+// funnelNextActionTable をステップごとの次アクション上位に変換
+function parseFunnelNextActions(table, stepNames) {
+  const dimHeaders = (table?.dimensionHeaders ?? []).map((h) => h.name || "");
+  const metHeaders = (table?.metricHeaders ?? []).map((h) => h.name || "");
+  const actionDim = dimHeaders.find((d) => d !== "funnelStepName");
+  const out = stepNames.map((name, i) => ({ step: i + 1, name, nextActions: [] }));
+  for (const r of kvRows(table?.rows ?? [], dimHeaders, metHeaders)) {
+    const index = Number(String(r.funnelStepName).match(/^(\d+)\./)?.[1]) - 1;
+    out[index]?.nextActions.push({ action: r[actionDim], users: r.activeUsers ?? 0 });
+  }
+  for (const s of out) s.nextActions.sort((a, b) => b.users - a.users);
+  return out;
+}
 
-  const rows = (resp.rows ?? []).map((r) => {
-    const out = {};
-    dimHeaders.forEach((name, i) => (out[name] = r.dimensionValues?.[i]?.value ?? ""));
-    metHeaders.forEach((name, i) => (out[name] = toNumber(r.metricValues?.[i]?.value)));
-    return out;
+// ===== 監査ログ =====
+// ツール呼び出しごとに 1 行の JSON を出す。MCP_AUDIT_LOG: "stdout"（既定）/ "file" / "off"
+// file のときは MCP_AUDIT_LOG_FILE に追記し、MCP_AUDIT_LOG_MAX_BYTES を超えたら .1, .2, ... にずらす（MCP_AUDIT_LOG_FILES 世代まで）
+const MCP_AUDIT_LOG = (process.env.MCP_AUDIT_LOG || "stdout").toLowerCase();
+const MCP_AUDIT_LOG_FILE = process.env.MCP_AUDIT_LOG_FILE || "audit.log";
+const MCP_AUDIT_LOG_MAX_BYTES = Number(process.env.MCP_AUDIT_LOG_MAX_BYTES || 10 * 1024 * 1024);
+const MCP_AUDIT_LOG_FILES = Number(process.env.MCP_AUDIT_LOG_FILES || 5);
+// ga_recent_activity 用にメモリに残す件数
+const AUDIT_RECENT_MAX = 500;
+
+const recentAudit = [];
+let auditFileSize = null;
+let auditWriting = Promise.resolve();
+
+// 秘密値らしいキーは伏せ、長い文字列/配列と深い入れ子は切り詰める
+const SENSITIVE_ARG_RE = /(token|secret|password|api_?key|authorization|cursor)/i;
+
+function sanitizeArgs(value, depth = 0) {
+  if (typeof value === "string") return value.length > 200 ? `${value.slice(0, 200)}…(+${value.length - 200})` : value;
+  if (value == null || typeof value !== "object") return value;
+  if (depth >= 5) return "[…]";
+  if (Array.isArray(value)) {
+    const items = value.slice(0, 20).map((v) => sanitizeArgs(v, depth + 1));
+    return value.length > 20 ? [...items, `…(+${value.length - 20})`] : items;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([k, v]) => [k, SENSITIVE_ARG_RE.test(k) ? "[redacted]" : sanitizeArgs(v, depth + 1)])
+  );
+}
+
+// 結果の行数（rows の件数。保存済みレポートは中の結果を見る）
+function resultRowCount(out) {
+  if (!isPlainObject(out)) return null;
+  if (Array.isArray(out.rows)) return out.rows.length;
+  if (typeof out.rowCount === "number") return out.rowCount;
+  if (isPlainObject(out.result)) return resultRowCount(out.result);
+  return null;
+}
+
+async function rotateAuditLog() {
+  for (let i = MCP_AUDIT_LOG_FILES - 1; i >= 1; i--) {
+    await rename(`${MCP_AUDIT_LOG_FILE}.${i}`, `${MCP_AUDIT_LOG_FILE}.${i + 1}`).catch(() => {});
+  }
+  await rename(MCP_AUDIT_LOG_FILE, `${MCP_AUDIT_LOG_FILE}.1`).catch(() => {});
+  auditFileSize = 0;
+}
+
+async function appendAuditLine(line) {
+  if (auditFileSize == null) auditFileSize = await stat(MCP_AUDIT_LOG_FILE).then((s) => s.size, () => 0);
+  const bytes = Buffer.byteLength(line);
+  if (auditFileSize > 0 && auditFileSize + bytes > MCP_AUDIT_LOG_MAX_BYTES) await rotateAuditLog();
+  await appendFile(MCP_AUDIT_LOG_FILE, line);
+  auditFileSize += bytes;
+}
+
+function writeAudit(entry) {
+  recentAudit.push(entry);
+  if (recentAudit.length > AUDIT_RECENT_MAX) recentAudit.shift();
+
+  if (MCP_AUDIT_LOG === "off") return;
+  const line = `${JSON.stringify(entry)}\n`;
+  if (MCP_AUDIT_LOG !== "file") {
+    process.stdout.write(line);
+    return;
+  }
+  // 追記とローテーションは順番に行う
+  auditWriting = auditWriting
+    .then(() => appendAuditLine(line))
+    .catch((e) => console.error(`audit log write failed: ${e?.message || e}`));
+}
+
+// 再起動後も ga_recent_activity で直近分を読めるよう、ファイルの末尾を読み込んでおく
+async function loadRecentAudit() {
+  if (MCP_AUDIT_LOG !== "file") return;
+  try {
+    const lines = (await readFile(MCP_AUDIT_LOG_FILE, "utf8")).split("\n").filter(Boolean).slice(-AUDIT_RECENT_MAX);
+    for (const line of lines) {
+      try {
+        recentAudit.push(JSON.parse(line));
+      } catch {
+        // 壊れた行は読み飛ばす
+      }
+    }
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error(`audit log read failed: ${e?.message || e}`);
+  }
+}
+
+function auditEntry({ tool, caller, args, stats, startedAt, out, error }) {
+  return {
+    type: "tool_call",
+    severity: error ? "WARNING" : "INFO",
+    time: new Date(startedAt).toISOString(),
+    caller: caller?.label ?? null,
+    subject: caller?.subject ?? null,
+    via: caller?.via ?? null,
+    tool,
+    args: sanitizeArgs(args),
+    propertyIds: [...stats.propertyIds],
+    gaRequests: stats.gaRequests,
+    durationMs: Date.now() - startedAt,
+    rows: error ? null : resultRowCount(out),
+    cacheHit: stats.cacheHits + stats.cacheMisses ? stats.cacheMisses === 0 : null,
+    cacheHits: stats.cacheHits,
+    cacheMisses: stats.cacheMisses,
+    ok: !error,
+    errorCategory: error?.category ?? null,
+    errorCode: error?.code ?? null,
+  };
+}
+
+// ===== メトリクス（Prometheus テキスト形式） =====
+// /metrics は Authorization: Bearer <MCP_METRICS_TOKEN> か、ga.admin を持ちプロパティ制限のない MCP の認証情報を求める
+const MCP_METRICS_TOKEN = process.env.MCP_METRICS_TOKEN;
+const TOOL_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const METRIC_HELP = {
+  ga_mcp_tool_calls_total: ["counter", "ツール呼び出し数（outcome: ok / error）"],
+  ga_mcp_tool_errors_total: ["counter", "ツール呼び出しのエラー数（エラー種別ごと）"],
+  ga_mcp_tool_duration_seconds: ["histogram", "ツール呼び出しの所要時間"],
+  ga_mcp_ga_api_calls_total: ["counter", "GA API の呼び出し数（リトライを含む）"],
+  ga_mcp_ga_api_errors_total: ["counter", "GA API のエラー数（gRPC コードごと）"],
+  ga_mcp_cache_requests_total: ["counter", "キャッシュの参照数（kind: キャッシュの種類、result: hit / miss）"],
+  ga_mcp_cache_hit_ratio: ["gauge", "起動からの GA レスポンスのキャッシュヒット率（propertySettings を除く）"],
+  ga_mcp_property_quota_remaining: ["gauge", "直近に観測した propertyQuota の残量"],
+  ga_mcp_property_quota_consumed: ["gauge", "直近に観測した propertyQuota の消費量"],
+  ga_mcp_property_quota_observed_timestamp_seconds: ["gauge", "propertyQuota を観測した時刻"],
+};
+
+const metricCounters = new Map(); // name -> Map(labelsJson -> value)
+const toolDurations = new Map(); // tool -> { buckets, sum, count }
+
+function incCounter(name, labels, by = 1) {
+  if (!metricCounters.has(name)) metricCounters.set(name, new Map());
+  const series = metricCounters.get(name);
+  const key = JSON.stringify(labels);
+  series.set(key, (series.get(key) ?? 0) + by);
+}
+
+function recordToolMetrics(entry) {
+  incCounter("ga_mcp_tool_calls_total", { tool: entry.tool, outcome: entry.ok ? "ok" : "error" });
+  if (!entry.ok) incCounter("ga_mcp_tool_errors_total", { tool: entry.tool, category: entry.errorCategory });
+
+  const h = toolDurations.get(entry.tool) ?? { buckets: TOOL_DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+  const sec = entry.durationMs / 1000;
+  TOOL_DURATION_BUCKETS.forEach((le, i) => {
+    if (sec <= le) h.buckets[i]++;
   });
+  h.sum += sec;
+  h.count++;
+  toolDurations.set(entry.tool, h);
+}
 
-  return { rows, dimHeaders, metHeaders };
+function recordGaApiCall(method, error) {
+  incCounter("ga_mcp_ga_api_calls_total", { method });
+  if (error) incCounter("ga_mcp_ga_api_errors_total", { method, code: errorCode(error) });
 }
 
-// ===== Funnel（v1alpha）は REST で叩く：alpha client 依存で起動が落ちるのを避ける =====
-async function runFunnelReportViaRest(body) {
-  const url = `https://analyticsdata.googleapis.com/v1alpha/properties/${GA4_PROPERTY_ID}:runFunnelReport`;
+const escapeLabelValue = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
 
-  // gaClient.auth は GoogleAuth。ここから署名済みヘッダーを作る
-  const authClient = await gaClient.auth.getClient();
-  const headers = await authClient.getRequestHeaders(url);
+function metricLine(name, labels, value) {
+  const entries = Object.entries(labels);
+  const l = entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(",")}}` : "";
+  return `${name}${l} ${Number.isFinite(value) ? value : "NaN"}`;
+}
 
-  const resp = await fetch(url, {
-    method: "POST",
-    headers: {
-      ...headers,
-      "content-type": "application/json",
-    },
-    body: JSON.stringify(body),
+function renderMetrics() {
+  const series = new Map(Object.keys(METRIC_HELP).map((name) => [name, []]));
+  const add = (name, labels, value) => series.get(name).push(metricLine(name, labels, value));
+
+  for (const [name, values] of metricCounters) {
+    for (const [key, value] of values) add(name, JSON.parse(key), value);
+  }
+  for (const [tool, h] of toolDurations) {
+    const name = "ga_mcp_tool_duration_seconds";
+    TOOL_DURATION_BUCKETS.forEach((le, i) => series.get(name).push(metricLine(`${name}_bucket`, { tool, le }, h.buckets[i])));
+    series.get(name).push(metricLine(`${name}_bucket`, { tool, le: "+Inf" }, h.count));
+    series.get(name).push(metricLine(`${name}_sum`, { tool }, h.sum));
+    series.get(name).push(metricLine(`${name}_count`, { tool }, h.count));
+  }
+
+  let hits = 0;
+  let lookups = 0;
+  for (const [kind, c] of cacheStats) {
+    add("ga_mcp_cache_requests_total", { kind, result: "hit" }, c.hits);
+    add("ga_mcp_cache_requests_total", { kind, result: "miss" }, c.misses);
+    if (INTERNAL_CACHE_KINDS.has(kind)) continue;
+    hits += c.hits;
+    lookups += c.hits + c.misses;
+  }
+  add("ga_mcp_cache_hit_ratio", {}, lookups ? hits / lookups : 0);
+
+  for (const [pid, q] of quotaByProperty) {
+    for (const [quota, v] of Object.entries(q.propertyQuota)) {
+      if (!v) continue;
+      add("ga_mcp_property_quota_remaining", { property_id: pid, quota }, toNumber(v.remaining));
+      add("ga_mcp_property_quota_consumed", { property_id: pid, quota }, toNumber(v.consumed));
+    }
+    add("ga_mcp_property_quota_observed_timestamp_seconds", { property_id: pid }, Date.parse(q.observedAt) / 1000);
+  }
+
+  const out = [];
+  for (const [name, lines] of series) {
+    const [type, help] = METRIC_HELP[name];
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines);
+  }
+  return `${out.join("\n")}\n`;
+}
+
+// ===== 準備完了チェック =====
+// 認証情報（アクセストークンが取れるか）と、プロパティごとの getMetadata（クォータを消費しない）を分けて確かめる
+// GA_READY_TIMEOUT_MS: 各確認のタイムアウト。プローブが続けて来ても GA を叩きすぎないよう結果を短時間使い回す
+const GA_READY_TIMEOUT_MS = Number(process.env.GA_READY_TIMEOUT_MS || 5000);
+const READY_CACHE_MS = 10 * 1000;
+
+let readinessCache = null; // { at, promise }
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(toolError("DEADLINE_EXCEEDED", `${label} が ${ms}ms 以内に終わりませんでした。`)), ms);
   });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
-  const text = await resp.text();
-  if (!resp.ok) {
-    throw new Error(`Funnel API error ${resp.status}: ${text}`);
+// codeOf でエラーをコードに分類する（既定は errorCode）
+async function timedCheck(label, fn, codeOf = errorCode) {
+  const started = Date.now();
+  try {
+    await withTimeout(fn(), GA_READY_TIMEOUT_MS, label);
+    return { ok: true, durationMs: Date.now() - started };
+  } catch (e) {
+    const code = codeOf(e);
+    return {
+      ok: false,
+      durationMs: Date.now() - started,
+      error: { code, category: ERROR_CATEGORIES[code] || "internal", message: formatErr(e) },
+    };
   }
-  return JSON.parse(text);
+}
+
+async function checkReadiness() {
+  const config = configErrors();
+  // 認証情報の読み込み失敗（ENOENT や JSON の不備など）は gRPC のコードを持たないので、タイムアウト以外はすべて認証エラー扱い
+  const credentials = await timedCheck("credentials", () => gaClient.auth.getAccessToken(), (e) =>
+    typeof e?.code === "number" || e?.code === "DEADLINE_EXCEEDED" ? errorCode(e) : "UNAUTHENTICATED"
+  );
+  // プロパティは並行して確認する（全体でも認証情報 + 1 回分のタイムアウトで終わる）
+  const properties = await Promise.all(
+    [...PROPERTIES.ids].map(async (pid) => {
+      const aliases = [...PROPERTIES.aliases].filter(([, id]) => id === pid).map(([alias]) => alias);
+      const status = credentials.ok
+        ? await timedCheck(`getMetadata(${pid})`, () =>
+            gaClient.getMetadata({ name: `properties/${pid}/metadata` }, { timeout: GA_READY_TIMEOUT_MS, retry: null })
+          )
+        : { ok: false, skipped: true, error: { code: "UNAUTHENTICATED", category: "auth", message: "認証情報の確認に失敗したため未確認" } };
+      return { propertyId: pid, aliases, ...status };
+    })
+  );
+  const ready = !config.length && credentials.ok && properties.length > 0 && properties.every((p) => p.ok);
+  return {
+    status: ready ? "ready" : "not_ready",
+    checkedAt: new Date().toISOString(),
+    config: { ok: !config.length, errors: config },
+    credentials,
+    properties,
+  };
+}
+
+function getReadiness() {
+  if (!readinessCache || Date.now() - readinessCache.at > READY_CACHE_MS) {
+    readinessCache = { at: Date.now(), promise: checkReadiness() };
+  }
+  return readinessCache.promise;
 }
 
 // ===== MCPサーバー =====
-const mcp = new McpServer({ name: "ga-mcp", version: "2.1.0" });
+// ステートレスな transport は使い回せないので、McpServer はリクエストごとに作る。
+// ツール/プロンプト/リソースはここに控えておき、createMcpServer() で毎回組み立てる
+const mcpRegistry = {
+  tools: new Map(),
+  prompts: new Map(),
+  resources: new Map(),
+  tool(name, ...def) {
+    this.tools.set(name, def);
+  },
+  prompt(name, ...def) {
+    this.prompts.set(name, def);
+    return { remove: () => this.prompts.delete(name) };
+  },
+  resource(name, ...def) {
+    this.resources.set(name, def);
+  },
+};
+
+// キーで許可されていないツールは一覧にも出さない
+function createMcpServer(authInfo) {
+  const server = new McpServer({ name: "ga-mcp", version: "2.1.0" });
+  for (const [name, def] of mcpRegistry.tools) {
+    if (toolAllowedForKey(name, authInfo)) server.tool(name, ...def);
+  }
+  for (const [name, def] of mcpRegistry.prompts) server.prompt(name, ...def);
+  for (const [name, def] of mcpRegistry.resources) server.resource(name, ...def);
+  return server;
+}
+
+// 登録済みツール（保存済みレポートから呼び出す用）: name -> { schema, handler }
+const toolRegistry = new Map();
+
+// ツール登録：ハンドラは結果オブジェクトを返し、例外は isError 付きの構造化エラーにする
+function registerTool(name, description, schema, handler) {
+  const report = name.replace(/^ga_/, "");
+  toolRegistry.set(name, { schema, handler });
+  mcpRegistry.tool(name, description, { ...schema, ...formatArgs }, async ({ format, decimals, ratesAsPercent, ...args }, extra) => {
+    const startedAt = Date.now();
+    const caller = callerOf(extra?.authInfo);
+    const stats = newToolStats();
+    try {
+      assertToolAllowed(name, extra?.authInfo);
+      const out = await runInToolContext(() => handler(args, extra), caller, stats);
+      const entry = auditEntry({ tool: name, caller, args, stats, startedAt, out });
+      writeAudit(entry);
+      recordToolMetrics(entry);
+      return renderOutput(out, { format, decimals, ratesAsPercent });
+    } catch (e) {
+      const error = await describeError(e);
+      const entry = auditEntry({ tool: name, caller, args, stats, startedAt, error });
+      writeAudit(entry);
+      recordToolMetrics(entry);
+      return errorResult(report, error);
+    }
+  });
+}
+
+// 全ツール共通：対象プロパティ（省略時は既定プロパティ）
+const propertyIdArg = z.string().optional();
+// GA呼び出し系共通："bypass" でキャッシュを使わず取得し直す
+const cacheArg = z.enum(["default", "bypass"]).default("default");
+// レポート系共通：フィルタDSL（例: country == "Japan" and landingPage contains "/lp/"）
+const filterArg = z.string().optional();
+// 行一覧系共通：前回レスポンスの pagination.nextCursor を渡すと続きを取得
+const cursorArg = z.string().optional();
+// 比較系共通：none / previous_period（直前の同日数）/ previous_year（前年同期間）/ custom（compareStartDate〜compareEndDate）
+const compareArgs = {
+  compare: z.enum(["none", "previous_period", "previous_year", "custom"]).default("none"),
+  compareStartDate: z.string().optional(),
+  compareEndDate: z.string().optional(),
+};
+
+// プロパティ一覧（許可リスト）
+registerTool(
+  "ga_list_properties",
+  "利用可能なGA4プロパティ（alias/ID）の一覧",
+  {},
+  async () => {
+    return {
+      report: "list_properties",
+      defaultPropertyId: defaultPropertyId(),
+      properties: listProperties(),
+    };
+  }
+);
 
 // 0) Metadata検索（使えるディメンション/メトリクス）
-mcp.tool(
+registerTool(
   "ga_metadata_search",
   "GA4 Data APIで使えるディメンション/メトリクスを検索",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     kind: z.enum(["all", "dimension", "metric"]).default("all"),
     query: z.string().default(""),
     limit: z.number().min(1).max(200).default(50),
   },
-  async ({ kind, query, limit }) => {
-    try {
-      const [meta] = await gaClient.getMetadata({
-        name: `properties/${GA4_PROPERTY_ID}/metadata`,
-      });
+  async ({ propertyId, cache, kind, query, limit }) => {
+    const pid = resolvePropertyId(propertyId);
+    const meta = await getMetadata(pid, { cache });
 
-      const q = String(query || "").toLowerCase().trim();
-
-      const dims = (meta.dimensions ?? []).map((d) => ({
-        apiName: d.apiName,
-        uiName: d.uiName,
-        description: d.description,
-      }));
-      const mets = (meta.metrics ?? []).map((m) => ({
-        apiName: m.apiName,
-        uiName: m.uiName,
-        description: m.description,
-      }));
-
-      const match = (x) =>
-        !q ||
-        String(x.apiName || "").toLowerCase().includes(q) ||
-        String(x.uiName || "").toLowerCase().includes(q) ||
-        String(x.description || "").toLowerCase().includes(q);
-
-      return jsonText({
-        report: "metadata_search",
-        propertyId: GA4_PROPERTY_ID,
-        kind,
-        query,
-        dimensions: kind === "metric" ? [] : dims.filter(match).slice(0, limit),
-        metrics: kind === "dimension" ? [] : mets.filter(match).slice(0, limit),
-      });
-    } catch (e) {
-      return jsonText({ report: "metadata_search", error: formatErr(e) });
-    }
+    const q = String(query || "").toLowerCase().trim();
+
+    const dims = (meta.dimensions ?? []).map((d) => ({
+      apiName: d.apiName,
+      uiName: d.uiName,
+      description: d.description,
+    }));
+    const mets = (meta.metrics ?? []).map((m) => ({
+      apiName: m.apiName,
+      uiName: m.uiName,
+      description: m.description,
+    }));
+
+    const match = (x) =>
+      !q ||
+      String(x.apiName || "").toLowerCase().includes(q) ||
+      String(x.uiName || "").toLowerCase().includes(q) ||
+      String(x.description || "").toLowerCase().includes(q);
+
+    return {
+      report: "metadata_search",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      kind,
+      query,
+      dimensions: kind === "metric" ? [] : dims.filter(match).slice(0, limit),
+      metrics: kind === "dimension" ? [] : mets.filter(match).slice(0, limit),
+    };
+  }
+);
+
+// ===== MCPリソース：メタデータ / キーイベント =====
+// ga://{property}/metadata/dimensions などを読むだけでスキーマをコンテキストに載せられる（getMetadata のキャッシュを共有）
+// 取り直す場合は ga_refresh_metadata
+function metadataFields(list, kind) {
+  return (list ?? []).map((x) => ({
+    apiName: x.apiName,
+    uiName: x.uiName,
+    description: x.description,
+    category: x.category,
+    customDefinition: !!x.customDefinition,
+    ...(kind === "metric" ? { type: x.type, expression: x.expression || undefined } : {}),
+  }));
+}
+
+const METADATA_RESOURCES = {
+  dimensions: {
+    path: "metadata/dimensions",
+    description: "ディメンション一覧（カスタムディメンション含む）",
+    read: async (pid) => metadataFields((await getMetadata(pid)).dimensions, "dimension"),
+  },
+  metrics: {
+    path: "metadata/metrics",
+    description: "メトリクス一覧（カスタム指標・計算指標含む）",
+    read: async (pid) => metadataFields((await getMetadata(pid)).metrics, "metric"),
+  },
+  keyEvents: {
+    path: "key-events",
+    description: "キーイベント一覧と、カスタム定義（customEvent:/customUser: 等）",
+    read: async (pid) => {
+      const [keyEvents, meta] = await Promise.all([getKeyEvents(pid), getMetadata(pid)]);
+      return {
+        ...keyEvents,
+        customDimensions: metadataFields(meta.dimensions, "dimension").filter((d) => d.customDefinition),
+        customMetrics: metadataFields(meta.metrics, "metric").filter((m) => m.customDefinition),
+      };
+    },
+  },
+};
+
+for (const [name, r] of Object.entries(METADATA_RESOURCES)) {
+  mcpRegistry.resource(
+    `ga-${r.path.replace("/", "-")}`,
+    new ResourceTemplate(`ga://{property}/${r.path}`, {
+      // 許可されたプロパティ（ID と別名）ごとに列挙
+      list: async (extra) => ({
+        resources: allowedPropertyIds(callerOf(extra?.authInfo)).map((pid) => ({
+          uri: `ga://${pid}/${r.path}`,
+          name: `${listProperties().find((p) => p.propertyId === pid)?.alias ?? pid} ${name}`,
+          mimeType: "application/json",
+        })),
+      }),
+    }),
+    { description: r.description, mimeType: "application/json" },
+    async (uri, { property }, extra) =>
+      runInToolContext(async () => {
+        const pid = resolvePropertyId(String(property));
+        const data = await r.read(pid);
+        const body = { propertyId: pid, ...(Array.isArray(data) ? { [name]: data } : data) };
+        return {
+          contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(body, null, 2) }],
+        };
+      }, callerOf(extra?.authInfo))
+  );
+}
+
+// 0c) メタデータの取り直し（リソースと ga_metadata_search のキャッシュを更新）
+registerTool(
+  "ga_refresh_metadata",
+  "メタデータ（ディメンション/メトリクス/キーイベント）をGAから取り直してキャッシュを更新する",
+  {
+    propertyId: propertyIdArg,
+  },
+  async ({ propertyId }) => {
+    const pid = resolvePropertyId(propertyId);
+    const [meta, keyEvents] = await Promise.all([
+      getMetadata(pid, { cache: "bypass" }),
+      getKeyEvents(pid, { cache: "bypass" }),
+    ]);
+
+    return {
+      report: "refresh_metadata",
+      propertyId: pid,
+      refreshedAt: new Date().toISOString(),
+      dimensions: meta.dimensions?.length ?? 0,
+      metrics: meta.metrics?.length ?? 0,
+      keyEvents: keyEvents.keyEvents.length,
+      keyEventsSource: keyEvents.source,
+      resources: Object.values(METADATA_RESOURCES).map((r) => `ga://${pid}/${r.path}`),
+    };
   }
 );
 
@@ -193,80 +3021,132 @@ function baseMetricsPlus(keyEventName) {
   return m;
 }
 
+// 0b) 互換性チェック（ディメンション/メトリクスの組み合わせ）
+registerTool(
+  "ga_check_compatibility",
+  "ディメンション/メトリクス/フィルタの組み合わせがGA4で使えるか確認し、外すべき項目と代替候補を返す",
+  {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
+    dimensions: z.array(z.string().min(1)).max(9).default([]),
+    metrics: z.array(z.string().min(1)).max(10).default([]),
+    filter: filterArg,
+  },
+  async ({ propertyId, cache, dimensions, metrics, filter }) => {
+    const pid = resolvePropertyId(propertyId);
+    await assertKnownFields(pid, { dimensions, metrics }, { cache });
+
+    const result = await compatibilityReport(pid, { dimensions, metrics, ...parseFilter(filter, metrics) }, { cache });
+
+    return {
+      report: "check_compatibility",
+      propertyId: pid,
+      filter: filter || null,
+      ...result,
+    };
+  }
+);
+
 // 1) KPIサマリー
-mcp.tool(
+registerTool(
   "ga_kpi_overview",
   "KPIサマリー（sessions/users/views/keyEvents/CVR等）",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("7daysAgo"),
     endDate: z.string().default("yesterday"),
+    filter: filterArg,
     keyEventName: z.string().optional(),
+    ...compareArgs,
   },
-  async ({ startDate, endDate, keyEventName }) => {
-    try {
-      const metrics = [
-        "sessions",
-        "activeUsers",
-        "newUsers",
-        "screenPageViews",
-        "keyEvents",
-        "sessionKeyEventRate",
-        "userKeyEventRate",
-      ];
-      if (keyEventName) {
-        metrics.push(`sessionKeyEventRate:${keyEventName}`);
-        metrics.push(`userKeyEventRate:${keyEventName}`);
-      }
+  async ({ propertyId, cache, startDate, endDate, filter, keyEventName, compare, compareStartDate, compareEndDate }) => {
+    const pid = resolvePropertyId(propertyId);
+    const metrics = [
+      "sessions",
+      "activeUsers",
+      "newUsers",
+      "screenPageViews",
+      "keyEvents",
+      "sessionKeyEventRate",
+      "userKeyEventRate",
+    ];
+    if (keyEventName) {
+      metrics.push(`sessionKeyEventRate:${keyEventName}`);
+      metrics.push(`userKeyEventRate:${keyEventName}`);
+    }
 
-      const { rows } = await runReportKV({
-        dimensions: [],
-        metrics,
-        startDate,
-        endDate,
-        limit: 1,
-      });
+    const filters = parseFilter(filter, metrics);
+    const ranges = await resolveCompareRanges(pid, { startDate, endDate, compare, compareStartDate, compareEndDate });
 
-      return jsonText({
-        report: "kpi_overview",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        keyEventName: keyEventName || null,
-        kpis: rows[0] || {},
-      });
-    } catch (e) {
-      return jsonText({ report: "kpi_overview", error: formatErr(e) });
-    }
+    const query = {
+      propertyId: pid,
+      cache,
+      dimensions: [],
+      metrics,
+      ...filters,
+      startDate: ranges?.current.startDate ?? startDate,
+      endDate: ranges?.current.endDate ?? endDate,
+      limit: 1,
+    };
+    const { rows, ...page } = await runReportKV(query);
+
+    return {
+      report: "kpi_overview",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      ...(ranges ? { compare: ranges.mode, compareRange: ranges.previous } : {}),
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      keyEventName: keyEventName || null,
+      kpis: ranges ? (await runComparedReport(query, rows, ranges))[0] || {} : rows[0] || {},
+    };
   }
 );
 
 // 2) チャネル別（CV含む）
-mcp.tool(
+registerTool(
   "ga_channel_summary_plus",
   "集客チャネル別サマリー（CV含む）",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("7daysAgo"),
     endDate: z.string().default("yesterday"),
+    filter: filterArg,
     keyEventName: z.string().optional(),
     limit: z.number().min(1).max(200).default(50),
+    cursor: cursorArg,
+    ...compareArgs,
   },
-  async ({ startDate, endDate, keyEventName, limit }) => {
-    try {
-      const { rows } = await runReportKV({
-        dimensions: ["sessionDefaultChannelGroup"],
-        metrics: baseMetricsPlus(keyEventName),
-        startDate,
-        endDate,
-        orderByMetric: "sessions",
-        desc: true,
-        limit,
-      });
+  async ({ propertyId, cache, startDate, endDate, filter, keyEventName, limit, cursor, compare, compareStartDate, compareEndDate }) => {
+    const pid = resolvePropertyId(propertyId);
+    const metrics = baseMetricsPlus(keyEventName);
+    const filters = parseFilter(filter, metrics);
+    const ranges = await resolveCompareRanges(pid, { startDate, endDate, compare, compareStartDate, compareEndDate });
 
-      return jsonText({
-        report: "channel_summary_plus",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        keyEventName: keyEventName || null,
-        rows: rows.map((r) => ({
+    const query = {
+      propertyId: pid,
+      cache,
+      dimensions: ["sessionDefaultChannelGroup"],
+      metrics,
+      ...filters,
+      startDate: ranges?.current.startDate ?? startDate,
+      endDate: ranges?.current.endDate ?? endDate,
+      orderByMetric: "sessions",
+      desc: true,
+      limit,
+    };
+    const { rows, ...page } = await runReportKV({ ...query, cursor });
+
+    const out = ranges
+      ? (await runComparedReport(query, rows, ranges)).map(({ sessionDefaultChannelGroup, ...r }) => ({
+          channel: sessionDefaultChannelGroup || "(not set)",
+          ...r,
+        }))
+      : rows.map((r) => ({
           channel: r.sessionDefaultChannelGroup || "(not set)",
           sessions: r.sessions || 0,
           activeUsers: r.activeUsers || 0,
@@ -275,438 +3155,615 @@ mcp.tool(
           ...(keyEventName
             ? { [`sessionKeyEventRate:${keyEventName}`]: r[`sessionKeyEventRate:${keyEventName}`] ?? null }
             : {}),
-        })),
-      });
-    } catch (e) {
-      return jsonText({ report: "channel_summary_plus", error: formatErr(e) });
-    }
+          share: r.share,
+        }));
+
+    return {
+      report: "channel_summary_plus",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      ...(ranges ? { compare: ranges.mode, compareRange: ranges.previous } : {}),
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      keyEventName: keyEventName || null,
+      rows: out,
+    };
   }
 );
 
 // 3) チャネル別：前期間比較
-mcp.tool(
+registerTool(
   "ga_channel_summary_compare",
-  "チャネル別を前期間比較（増減・増減率）",
+  "チャネル別を前期間/前年同期間と比較（全メトリクスの増減・増減率）",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("7daysAgo"),
     endDate: z.string().default("yesterday"),
+    filter: filterArg,
     keyEventName: z.string().optional(),
     limit: z.number().min(1).max(200).default(50),
+    compare: z.enum(["previous_period", "previous_year", "custom"]).default("previous_period"),
+    compareStartDate: z.string().optional(),
+    compareEndDate: z.string().optional(),
   },
-  async ({ startDate, endDate, keyEventName, limit }) => {
-    try {
-      const prevRange = computePreviousPeriod(startDate, endDate);
-      if (!prevRange) {
-        return jsonText({
-          report: "channel_summary_compare",
-          error: "前期間を自動推定できません。startDateを '7daysAgo' の形にして下さい。",
-        });
-      }
-
-      const metrics = baseMetricsPlus(keyEventName);
-
-      const curr = await runReportKV({
-        dimensions: ["sessionDefaultChannelGroup"],
-        metrics,
-        startDate,
-        endDate,
-        limit: 200,
-      });
-
-      const prev = await runReportKV({
-        dimensions: ["sessionDefaultChannelGroup"],
-        metrics,
-        startDate: prevRange.startDate,
-        endDate: prevRange.endDate,
-        limit: 200,
-      });
+  async ({ propertyId, cache, startDate, endDate, filter, keyEventName, limit, compare, compareStartDate, compareEndDate }) => {
+    const pid = resolvePropertyId(propertyId);
+    const ranges = await resolveCompareRanges(pid, { startDate, endDate, compare, compareStartDate, compareEndDate });
 
-      const prevMap = new Map(
-        prev.rows.map((r) => [r.sessionDefaultChannelGroup || "(not set)", r])
-      );
+    const metrics = baseMetricsPlus(keyEventName);
+    const filters = parseFilter(filter, metrics);
 
-      const merged = curr.rows.map((r) => {
-        const ch = r.sessionDefaultChannelGroup || "(not set)";
-        const p = prevMap.get(ch) || {};
-        const cs = r.sessions || 0;
-        const ps = p.sessions || 0;
+    const query = {
+      propertyId: pid,
+      cache,
+      dimensions: ["sessionDefaultChannelGroup"],
+      metrics,
+      ...filters,
+      startDate: ranges.current.startDate,
+      endDate: ranges.current.endDate,
+    };
+    const { rows: currRows, ...page } = await runReportKV(query);
 
-        return {
-          channel: ch,
-          current: {
-            sessions: cs,
-            activeUsers: r.activeUsers || 0,
-            keyEvents: r.keyEvents || 0,
-            sessionKeyEventRate: r.sessionKeyEventRate ?? null,
-          },
-          previous: {
-            sessions: ps,
-            activeUsers: p.activeUsers || 0,
-            keyEvents: p.keyEvents || 0,
-            sessionKeyEventRate: p.sessionKeyEventRate ?? null,
-          },
-          delta: {
-            sessions: cs - ps,
-            sessionsPct: safePctChange(cs, ps),
-          },
-        };
-      });
+    const merged = (await runComparedReport(query, currRows, ranges)).map(
+      ({ sessionDefaultChannelGroup, ...r }) => ({ channel: sessionDefaultChannelGroup || "(not set)", ...r })
+    );
 
-      merged.sort((a, b) => (b.current.sessions || 0) - (a.current.sessions || 0));
+    merged.sort((a, b) => (b.current.sessions || 0) - (a.current.sessions || 0));
 
-      return jsonText({
-        report: "channel_summary_compare",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        compareRange: prevRange,
-        rows: merged.slice(0, limit),
-      });
-    } catch (e) {
-      return jsonText({ report: "channel_summary_compare", error: formatErr(e) });
-    }
+    return {
+      report: "channel_summary_compare",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      compare: ranges.mode,
+      currentRange: ranges.current,
+      compareRange: ranges.previous,
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      rows: merged.slice(0, limit),
+    };
   }
 );
 
 // 4) LP別（CV含む）
-mcp.tool(
+registerTool(
   "ga_landing_page_performance",
   "LP別ランキング（CV含む）",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("7daysAgo"),
     endDate: z.string().default("yesterday"),
+    filter: filterArg,
     keyEventName: z.string().optional(),
     limit: z.number().min(1).max(200).default(20),
+    cursor: cursorArg,
+    ...compareArgs,
   },
-  async ({ startDate, endDate, keyEventName, limit }) => {
-    try {
-      const metrics = baseMetricsPlus(keyEventName);
-      const { rows } = await runReportKV({
-        dimensions: ["landingPagePlusQueryString"],
-        metrics,
-        startDate,
-        endDate,
-        orderByMetric: "sessions",
-        desc: true,
-        limit,
-      });
+  async ({ propertyId, cache, startDate, endDate, filter, keyEventName, limit, cursor, compare, compareStartDate, compareEndDate }) => {
+    const pid = resolvePropertyId(propertyId);
+    const metrics = baseMetricsPlus(keyEventName);
+    const filters = parseFilter(filter, metrics);
+    const ranges = await resolveCompareRanges(pid, { startDate, endDate, compare, compareStartDate, compareEndDate });
 
-      return jsonText({
-        report: "landing_page_performance",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        rows,
-      });
-    } catch (e) {
-      return jsonText({ report: "landing_page_performance", error: formatErr(e) });
-    }
+    const query = {
+      propertyId: pid,
+      cache,
+      dimensions: ["landingPagePlusQueryString"],
+      metrics,
+      ...filters,
+      startDate: ranges?.current.startDate ?? startDate,
+      endDate: ranges?.current.endDate ?? endDate,
+      orderByMetric: "sessions",
+      desc: true,
+      limit,
+    };
+    const { rows, ...page } = await runReportKV({ ...query, cursor });
+
+    return {
+      report: "landing_page_performance",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      ...(ranges ? { compare: ranges.mode, compareRange: ranges.previous } : {}),
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      rows: ranges ? await runComparedReport(query, rows, ranges) : rows,
+    };
   }
 );
 
 // 5) 日次推移
-mcp.tool(
+registerTool(
   "ga_daily_trend",
   "日次推移（sessions/activeUsers/keyEvents）",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("30daysAgo"),
     endDate: z.string().default("yesterday"),
+    filter: filterArg,
+    cursor: cursorArg,
   },
-  async ({ startDate, endDate }) => {
-    try {
-      const { rows } = await runReportKV({
-        dimensions: ["date"],
-        metrics: ["sessions", "activeUsers", "keyEvents"],
-        startDate,
-        endDate,
-        limit: 2000,
-      });
+  async ({ propertyId, cache, startDate, endDate, filter, cursor }) => {
+    const pid = resolvePropertyId(propertyId);
+    const metrics = ["sessions", "activeUsers", "keyEvents"];
+    const filters = parseFilter(filter, metrics);
 
-      const out = rows
-        .map((r) => ({
-          date: yyyymmddToIso(r.date),
-          sessions: r.sessions || 0,
-          activeUsers: r.activeUsers || 0,
-          keyEvents: r.keyEvents || 0,
-        }))
-        .sort((a, b) => (a.date > b.date ? 1 : -1));
+    const { rows, ...page } = await runReportKV({
+      propertyId: pid,
+      cache,
+      dimensions: ["date"],
+      metrics,
+      ...filters,
+      cursor,
+      startDate,
+      endDate,
+      orderBys: [{ dimension: { dimensionName: "date" } }],
+    });
+
+    const out = rows
+      .map((r) => ({
+        date: yyyymmddToIso(r.date),
+        sessions: r.sessions || 0,
+        activeUsers: r.activeUsers || 0,
+        keyEvents: r.keyEvents || 0,
+      }))
+      .sort((a, b) => (a.date > b.date ? 1 : -1));
+
+    return {
+      report: "daily_trend",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      rows: out,
+    };
+  }
+);
+
+// 5b) リアルタイム概況
+registerTool(
+  "ga_realtime_overview",
+  "直近N分（既定30分）のアクティブユーザー（分単位推移/国/デバイス/画面/イベント別）と過去日の同時間帯との比較",
+  {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
+    minutes: z.number().int().min(1).max(REALTIME_MAX_MINUTES).default(30),
+    filter: filterArg,
+    limit: z.number().int().min(1).max(100).default(10),
+    // 過去何日分の同時間帯と比較するか（0 で比較しない）
+    baselineDays: z.number().int().min(0).max(28).default(7),
+  },
+  async ({ propertyId, cache, minutes, filter, limit, baselineDays }) => {
+    const pid = resolvePropertyId(propertyId);
+    const metrics = ["activeUsers"];
+    const filters = parseFilter(filter, metrics);
+    const base = { propertyId: pid, minutes, ...filters };
 
-      return jsonText({
-        report: "daily_trend",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        rows: out,
+    const breakdown = async (dimension, extraMetrics = []) => {
+      const r = await runRealtimeKV({
+        ...base,
+        dimensions: [dimension],
+        metrics: [...metrics, ...extraMetrics],
+        limit: dimension === "minutesAgo" ? minutes : limit,
       });
-    } catch (e) {
-      return jsonText({ report: "daily_trend", error: formatErr(e) });
+      return r.rows.sort((a, b) =>
+        dimension === "minutesAgo"
+          ? toNumber(a.minutesAgo) - toNumber(b.minutesAgo)
+          : b.activeUsers - a.activeUsers
+      );
+    };
+
+    const [totals, byMinute, byCountry, byDevice, byScreen, byEvent] = await Promise.all([
+      runRealtimeKV({ ...base, metrics }),
+      breakdown("minutesAgo"),
+      breakdown("country"),
+      breakdown("deviceCategory"),
+      breakdown("unifiedScreenName"),
+      breakdown("eventName", ["eventCount"]),
+    ]);
+    const activeUsers = totals.rows[0]?.activeUsers || 0;
+
+    let baseline = null;
+    if (baselineDays > 0) {
+      // フィルタは日次側に項目が無い場合があるため、ベースラインはプロパティ全体で取る
+      const b = await realtimeBaseline(pid, { minutes, days: baselineDays, cache });
+      baseline = {
+        ...b,
+        filterApplied: false,
+        delta: activeUsers - b.median,
+        deltaPct: safePctChange(activeUsers, b.median),
+      };
     }
+
+    return {
+      report: "realtime_overview",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      minuteRange: { startMinutesAgo: minutes - 1, endMinutesAgo: 0 },
+      filter: filter || null,
+      activeUsers,
+      baseline,
+      byMinute: byMinute.map((r) => ({ minutesAgo: toNumber(r.minutesAgo), activeUsers: r.activeUsers })),
+      byCountry,
+      byDevice,
+      byScreen,
+      byEvent,
+    };
   }
 );
 
 // 6) 異常検知
-mcp.tool(
+registerTool(
   "ga_daily_anomalies",
-  "日次推移の異常検知（移動平均との差）",
+  "日次推移の異常検知（移動平均/曜日補正/中央値MAD/STL風分解、ディメンション別も可）",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("60daysAgo"),
     endDate: z.string().default("yesterday"),
-    metric: z.enum(["sessions", "activeUsers", "keyEvents"]).default("sessions"),
+    filter: filterArg,
+    metric: z.string().min(1).default("sessions"),
+    method: z.enum(["moving_average", "dow_adjusted", "robust", "stl"]).default("dow_adjusted"),
+    // 例: "sessionDefaultChannelGroup" を指定するとチャネルごとに検知
+    dimension: z.string().optional(),
+    maxSeries: z.number().int().min(1).max(50).default(10),
     windowDays: z.number().min(3).max(30).default(7),
     zThreshold: z.number().min(1).max(10).default(2.5),
   },
-  async ({ startDate, endDate, metric, windowDays, zThreshold }) => {
-    try {
-      const { rows } = await runReportKV({
-        dimensions: ["date"],
-        metrics: ["sessions", "activeUsers", "keyEvents"],
-        startDate,
-        endDate,
-        limit: 2000,
-      });
+  async ({ propertyId, cache, startDate, endDate, filter, metric, method, dimension, maxSeries, windowDays, zThreshold }) => {
+    const pid = resolvePropertyId(propertyId);
 
-      const series = rows
-        .map((r) => ({ date: yyyymmddToIso(r.date), value: r[metric] || 0 }))
-        .sort((a, b) => (a.date > b.date ? 1 : -1));
+    await assertKnownFields(pid, { dimensions: dimension ? [dimension] : [], metrics: [metric] }, { cache });
 
-      const mean = (arr) => (arr.length ? arr.reduce((s, x) => s + x, 0) / arr.length : 0);
-      const std = (arr, mu) => {
-        if (arr.length < 2) return 0;
-        const v = arr.reduce((s, x) => s + (x - mu) ** 2, 0) / (arr.length - 1);
-        return Math.sqrt(v);
-      };
+    const range = await resolveDateRange(pid, { startDate, endDate });
+    const metrics = [metric];
+    const filters = parseFilter(filter, metrics);
 
-      const anomalies = [];
-      for (let i = windowDays; i < series.length; i++) {
-        const window = series.slice(i - windowDays, i).map((x) => x.value);
-        const mu = mean(window);
-        const sd = std(window, mu);
-        const v = series[i].value;
-        const zScore = sd === 0 ? null : (v - mu) / sd;
-        if (zScore != null && Math.abs(zScore) >= zThreshold) {
-          anomalies.push({
-            date: series[i].date,
-            metric,
-            value: v,
-            baselineMean: mu,
-            baselineStd: sd,
-            zScore,
-            direction: zScore > 0 ? "spike" : "drop",
-          });
-        }
-      }
+    const { rows, ...page } = await runReportKV({
+      propertyId: pid,
+      cache,
+      dimensions: dimension ? ["date", dimension] : ["date"],
+      metrics,
+      ...filters,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      orderBys: [{ dimension: { dimensionName: "date" } }],
+    });
 
-      return jsonText({
-        report: "daily_anomalies",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        metric,
-        windowDays,
-        zThreshold,
-        anomalies,
-      });
-    } catch (e) {
-      return jsonText({ report: "daily_anomalies", error: formatErr(e) });
+    // ディメンション値ごとに系列を作り、合計の大きい順に maxSeries 本まで判定
+    const groups = new Map();
+    for (const r of rows) {
+      const key = dimension ? r[dimension] || "(not set)" : null;
+      if (!groups.has(key)) groups.set(key, { total: 0, byDate: new Map() });
+      const g = groups.get(key);
+      const v = r[metric] || 0;
+      g.total += v;
+      const date = yyyymmddToIso(r.date);
+      g.byDate.set(date, (g.byDate.get(date) ?? 0) + v);
     }
+    const selected = [...groups].sort((a, b) => b[1].total - a[1].total).slice(0, maxSeries);
+
+    const anomalies = selected
+      .flatMap(([key, g]) =>
+        detectAnomalies(fillDailySeries(g.byDate, range.startDate, range.endDate), {
+          method,
+          windowDays,
+          zThreshold,
+        }).map((a) => ({ ...(dimension ? { [dimension]: key } : {}), metric, ...a }))
+      )
+      .sort((a, b) => (a.date > b.date ? 1 : a.date < b.date ? -1 : b.severity - a.severity));
+
+    return {
+      report: "daily_anomalies",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      metric,
+      method,
+      dimension: dimension || null,
+      seriesAnalyzed: selected.length,
+      seriesTotal: groups.size,
+      windowDays,
+      zThreshold,
+      anomalies,
+    };
   }
 );
 
 // 7) キャンペーン
-mcp.tool(
+registerTool(
   "ga_campaign_performance",
   "キャンペーン（source/medium/campaign）別",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("7daysAgo"),
     endDate: z.string().default("yesterday"),
+    filter: filterArg,
     limit: z.number().min(1).max(200).default(50),
+    cursor: cursorArg,
+    ...compareArgs,
   },
-  async ({ startDate, endDate, limit }) => {
-    try {
-      const { rows } = await runReportKV({
-        dimensions: ["sessionSourceMedium", "sessionCampaignName"],
-        metrics: ["sessions", "activeUsers", "keyEvents", "sessionKeyEventRate"],
-        startDate,
-        endDate,
-        orderByMetric: "sessions",
-        desc: true,
-        limit,
-      });
+  async ({ propertyId, cache, startDate, endDate, filter, limit, cursor, compare, compareStartDate, compareEndDate }) => {
+    const pid = resolvePropertyId(propertyId);
+    const metrics = ["sessions", "activeUsers", "keyEvents", "sessionKeyEventRate"];
+    const filters = parseFilter(filter, metrics);
+    const ranges = await resolveCompareRanges(pid, { startDate, endDate, compare, compareStartDate, compareEndDate });
 
-      return jsonText({
-        report: "campaign_performance",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        rows,
-      });
-    } catch (e) {
-      return jsonText({ report: "campaign_performance", error: formatErr(e) });
-    }
+    const query = {
+      propertyId: pid,
+      cache,
+      dimensions: ["sessionSourceMedium", "sessionCampaignName"],
+      metrics,
+      ...filters,
+      startDate: ranges?.current.startDate ?? startDate,
+      endDate: ranges?.current.endDate ?? endDate,
+      orderByMetric: "sessions",
+      desc: true,
+      limit,
+    };
+    const { rows, ...page } = await runReportKV({ ...query, cursor });
+
+    return {
+      report: "campaign_performance",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      ...(ranges ? { compare: ranges.mode, compareRange: ranges.previous } : {}),
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      rows: ranges ? await runComparedReport(query, rows, ranges) : rows,
+    };
   }
 );
 
 // 8) デバイス
-mcp.tool(
+registerTool(
   "ga_device_breakdown",
   "デバイス別（deviceCategory）",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("7daysAgo"),
     endDate: z.string().default("yesterday"),
+    filter: filterArg,
+    cursor: cursorArg,
+    ...compareArgs,
   },
-  async ({ startDate, endDate }) => {
-    try {
-      const { rows } = await runReportKV({
-        dimensions: ["deviceCategory"],
-        metrics: ["sessions", "activeUsers", "keyEvents", "sessionKeyEventRate"],
-        startDate,
-        endDate,
-        orderByMetric: "sessions",
-        desc: true,
-        limit: 50,
-      });
+  async ({ propertyId, cache, startDate, endDate, filter, cursor, compare, compareStartDate, compareEndDate }) => {
+    const pid = resolvePropertyId(propertyId);
+    const metrics = ["sessions", "activeUsers", "keyEvents", "sessionKeyEventRate"];
+    const filters = parseFilter(filter, metrics);
+    const ranges = await resolveCompareRanges(pid, { startDate, endDate, compare, compareStartDate, compareEndDate });
 
-      return jsonText({
-        report: "device_breakdown",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        rows,
-      });
-    } catch (e) {
-      return jsonText({ report: "device_breakdown", error: formatErr(e) });
-    }
+    const query = {
+      propertyId: pid,
+      cache,
+      dimensions: ["deviceCategory"],
+      metrics,
+      ...filters,
+      startDate: ranges?.current.startDate ?? startDate,
+      endDate: ranges?.current.endDate ?? endDate,
+      orderByMetric: "sessions",
+      desc: true,
+      limit: 50,
+    };
+    const { rows, ...page } = await runReportKV({ ...query, cursor });
+
+    return {
+      report: "device_breakdown",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      ...(ranges ? { compare: ranges.mode, compareRange: ranges.previous } : {}),
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      rows: ranges ? await runComparedReport(query, rows, ranges) : rows,
+    };
   }
 );
 
 // 9) 国別
-mcp.tool(
+registerTool(
   "ga_country_breakdown",
   "国別（country）",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("7daysAgo"),
     endDate: z.string().default("yesterday"),
+    filter: filterArg,
     limit: z.number().min(1).max(200).default(50),
+    cursor: cursorArg,
+    ...compareArgs,
   },
-  async ({ startDate, endDate, limit }) => {
-    try {
-      const { rows } = await runReportKV({
-        dimensions: ["country"],
-        metrics: ["sessions", "activeUsers", "keyEvents", "sessionKeyEventRate"],
-        startDate,
-        endDate,
-        orderByMetric: "sessions",
-        desc: true,
-        limit,
-      });
+  async ({ propertyId, cache, startDate, endDate, filter, limit, cursor, compare, compareStartDate, compareEndDate }) => {
+    const pid = resolvePropertyId(propertyId);
+    const metrics = ["sessions", "activeUsers", "keyEvents", "sessionKeyEventRate"];
+    const filters = parseFilter(filter, metrics);
+    const ranges = await resolveCompareRanges(pid, { startDate, endDate, compare, compareStartDate, compareEndDate });
 
-      return jsonText({
-        report: "country_breakdown",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        rows,
-      });
-    } catch (e) {
-      return jsonText({ report: "country_breakdown", error: formatErr(e) });
-    }
+    const query = {
+      propertyId: pid,
+      cache,
+      dimensions: ["country"],
+      metrics,
+      ...filters,
+      startDate: ranges?.current.startDate ?? startDate,
+      endDate: ranges?.current.endDate ?? endDate,
+      orderByMetric: "sessions",
+      desc: true,
+      limit,
+    };
+    const { rows, ...page } = await runReportKV({ ...query, cursor });
+
+    return {
+      report: "country_breakdown",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      ...(ranges ? { compare: ranges.mode, compareRange: ranges.previous } : {}),
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      rows: ranges ? await runComparedReport(query, rows, ranges) : rows,
+    };
   }
 );
 
 // 10) 新規/リピーター
-mcp.tool(
+registerTool(
   "ga_new_vs_returning",
   "新規/リピーター（newVsReturning）",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("30daysAgo"),
     endDate: z.string().default("yesterday"),
+    filter: filterArg,
+    cursor: cursorArg,
   },
-  async ({ startDate, endDate }) => {
-    try {
-      const { rows } = await runReportKV({
-        dimensions: ["newVsReturning"],
-        metrics: ["sessions", "activeUsers", "keyEvents", "sessionKeyEventRate"],
-        startDate,
-        endDate,
-        limit: 10,
-      });
+  async ({ propertyId, cache, startDate, endDate, filter, cursor }) => {
+    const pid = resolvePropertyId(propertyId);
+    const metrics = ["sessions", "activeUsers", "keyEvents", "sessionKeyEventRate"];
+    const filters = parseFilter(filter, metrics);
 
-      return jsonText({
-        report: "new_vs_returning",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        rows,
-      });
-    } catch (e) {
-      return jsonText({ report: "new_vs_returning", error: formatErr(e) });
-    }
+    const { rows, ...page } = await runReportKV({
+      propertyId: pid,
+      cache,
+      dimensions: ["newVsReturning"],
+      metrics,
+      ...filters,
+      cursor,
+      startDate,
+      endDate,
+      limit: 10,
+    });
+
+    return {
+      report: "new_vs_returning",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      rows,
+    };
   }
 );
 
 // 11) 人気ページ
-mcp.tool(
+registerTool(
   "ga_top_pages",
   "人気ページ（pagePathPlusQueryString）",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("7daysAgo"),
     endDate: z.string().default("yesterday"),
+    filter: filterArg,
     limit: z.number().min(1).max(200).default(20),
+    cursor: cursorArg,
   },
-  async ({ startDate, endDate, limit }) => {
-    try {
-      const { rows } = await runReportKV({
-        dimensions: ["pagePathPlusQueryString"],
-        metrics: ["screenPageViews", "activeUsers", "userEngagementDuration"],
-        startDate,
-        endDate,
-        orderByMetric: "screenPageViews",
-        desc: true,
-        limit,
-      });
+  async ({ propertyId, cache, startDate, endDate, filter, limit, cursor }) => {
+    const pid = resolvePropertyId(propertyId);
+    const metrics = ["screenPageViews", "activeUsers", "userEngagementDuration"];
+    const filters = parseFilter(filter, metrics);
 
-      return jsonText({
-        report: "top_pages",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        rows,
-      });
-    } catch (e) {
-      return jsonText({ report: "top_pages", error: formatErr(e) });
-    }
+    const { rows, ...page } = await runReportKV({
+      propertyId: pid,
+      cache,
+      dimensions: ["pagePathPlusQueryString"],
+      metrics,
+      ...filters,
+      cursor,
+      startDate,
+      endDate,
+      orderByMetric: "screenPageViews",
+      desc: true,
+      limit,
+    });
+
+    return {
+      report: "top_pages",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      rows,
+    };
   }
 );
 
 // 12) イベントTOP
-mcp.tool(
+registerTool(
   "ga_top_events",
   "イベントTOP（eventName）",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("7daysAgo"),
     endDate: z.string().default("yesterday"),
+    filter: filterArg,
     limit: z.number().min(1).max(200).default(30),
+    cursor: cursorArg,
   },
-  async ({ startDate, endDate, limit }) => {
-    try {
-      const { rows } = await runReportKV({
-        dimensions: ["eventName"],
-        metrics: ["eventCount", "keyEvents"],
-        startDate,
-        endDate,
-        orderByMetric: "eventCount",
-        desc: true,
-        limit,
-      });
+  async ({ propertyId, cache, startDate, endDate, filter, limit, cursor }) => {
+    const pid = resolvePropertyId(propertyId);
+    const metrics = ["eventCount", "keyEvents"];
+    const filters = parseFilter(filter, metrics);
 
-      return jsonText({
-        report: "top_events",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        rows,
-      });
-    } catch (e) {
-      return jsonText({ report: "top_events", error: formatErr(e) });
-    }
+    const { rows, ...page } = await runReportKV({
+      propertyId: pid,
+      cache,
+      dimensions: ["eventName"],
+      metrics,
+      ...filters,
+      cursor,
+      startDate,
+      endDate,
+      orderByMetric: "eventCount",
+      desc: true,
+      limit,
+    });
+
+    return {
+      report: "top_events",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      pagination: pageInfo(page),
+      aggregations: aggregationInfo(page),
+      rows,
+    };
   }
 );
 
 // 13) ファネル（v1alpha REST）
-mcp.tool(
+registerTool(
   "ga_funnel_basic",
-  "ファネル（v1alpha runFunnelReport）",
+  "ファネル（v1alpha runFunnelReport）。ステップ条件は eventName + パラメータ/ディメンションのDSL（and/or/not、==/begins_with/matches 等）、ブレークダウン/次アクション/セグメント対応。ステップごとのユーザー数・完了率・離脱率を返す",
   {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
     startDate: z.string().default("30daysAgo"),
     endDate: z.string().default("yesterday"),
     isOpenFunnel: z.boolean().default(false),
@@ -714,7 +3771,12 @@ mcp.tool(
       .array(
         z.object({
           name: z.string().min(1),
-          eventName: z.string().min(1),
+          // 複数指定はいずれかのイベント
+          eventName: z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]).optional(),
+          // イベントパラメータのDSL（例: page_location begins_with "https://example.com/lp" and not (item.item_category == "test")）
+          parameterFilter: z.string().optional(),
+          // ディメンションのDSL（例: pagePath matches "^/cart/?$"）
+          filter: z.string().optional(),
           pageLocationContains: z.string().optional(),
           isDirectlyFollowedBy: z.boolean().optional(),
           withinDurationFromPriorStep: z.string().optional(),
@@ -722,66 +3784,871 @@ mcp.tool(
       )
       .min(2)
       .max(10),
+    // レポート全体のディメンション絞り込み（DSL）
+    filter: filterArg,
+    breakdownDimension: z.string().optional(),
+    breakdownLimit: z.number().int().min(1).max(15).default(5),
+    // eventName / pagePath / pageTitle などページ・画面系ディメンション
+    nextActionDimension: z.string().optional(),
+    nextActionLimit: z.number().int().min(1).max(5).default(5),
+    segments: z
+      .array(
+        z.object({
+          name: z.string().min(1),
+          scope: z.enum(["user", "session", "event"]).default("user"),
+          filter: z.string().min(1),
+        })
+      )
+      .max(4)
+      .optional(),
+    includeRaw: z.boolean().default(false),
   },
-  async ({ startDate, endDate, isOpenFunnel, steps }) => {
-    try {
-      const funnelSteps = steps.map((s) => {
-        const filterExpression = {
-          funnelEventFilter: {
-            eventName: s.eventName,
-          },
-        };
+  async ({
+    propertyId,
+    cache,
+    startDate,
+    endDate,
+    isOpenFunnel,
+    steps,
+    filter,
+    breakdownDimension,
+    breakdownLimit,
+    nextActionDimension,
+    nextActionLimit,
+    segments,
+    includeRaw,
+  }) => {
+    const pid = resolvePropertyId(propertyId);
+    const funnelSteps = steps.map((s) => ({
+      name: s.name,
+      isDirectlyFollowedBy: s.isDirectlyFollowedBy ?? false,
+      withinDurationFromPriorStep: s.withinDurationFromPriorStep,
+      filterExpression: buildFunnelStepExpression(s),
+    }));
 
-        if (s.pageLocationContains) {
-          filterExpression.funnelEventFilter.funnelParameterFilterExpression = {
-            funnelParameterFilter: {
-              eventParameterName: "page_location",
-              stringFilter: {
-                matchType: "CONTAINS",
-                value: s.pageLocationContains,
-                caseSensitive: false,
-              },
-            },
-          };
+    const body = {
+      dateRanges: [await toGaDateRange(pid, { startDate, endDate })],
+      funnel: {
+        isOpenFunnel,
+        steps: funnelSteps,
+      },
+      dimensionFilter: filter ? dslToExpression(filter) : undefined,
+      funnelBreakdown: breakdownDimension
+        ? { breakdownDimension: { name: breakdownDimension }, limit: String(breakdownLimit) }
+        : undefined,
+      funnelNextAction: nextActionDimension
+        ? { nextActionDimension: { name: nextActionDimension }, limit: String(nextActionLimit) }
+        : undefined,
+      segments: segments?.map(buildSegment),
+    };
+
+    const resp = await runFunnelReportViaRest(pid, body, { cache });
+    noteResponseMetadata(pid, resp.funnelTable?.metadata);
+    const stepNames = steps.map((s) => s.name);
+
+    return {
+      report: "funnel_basic",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      isOpenFunnel,
+      breakdownDimension: breakdownDimension ?? null,
+      segments: segments?.map((s) => s.name) ?? [],
+      series: parseFunnelTable(resp.funnelTable, stepNames),
+      nextActions: nextActionDimension ? parseFunnelNextActions(resp.funnelNextActionTable, stepNames) : undefined,
+      raw: includeRaw ? resp : undefined,
+      note: "ファネルは v1alpha のため将来互換が変わる可能性があります。",
+    };
+  }
+);
+
+// 汎用レポートの条件（ga_run_report / ga_batch_reports 共通）
+const reportSpecArgs = {
+  dimensions: z.array(z.string().min(1)).max(9).default([]),
+  metrics: z.array(z.string().min(1)).min(1).max(10),
+  dateRanges: z
+    .array(
+      z.object({
+        startDate: z.string(),
+        endDate: z.string(),
+        name: z.string().optional(),
+      })
+    )
+    .min(1)
+    .max(4)
+    .default([{ startDate: "7daysAgo", endDate: "yesterday" }]),
+  filter: filterArg,
+  // GA4 FilterExpression（andGroup/orGroup/notExpression/filter）をそのまま渡す（filter と AND 結合）
+  dimensionFilter: z.record(z.any()).optional(),
+  metricFilter: z.record(z.any()).optional(),
+  orderBys: z
+    .array(
+      z.object({
+        dimension: z.string().optional(),
+        metric: z.string().optional(),
+        desc: z.boolean().default(false),
+        orderType: z.enum(["ALPHANUMERIC", "CASE_INSENSITIVE_ALPHANUMERIC", "NUMERIC"]).optional(),
+      })
+    )
+    .max(5)
+    .optional(),
+  offset: z.number().int().min(0).default(0),
+  limit: z.number().int().min(1).max(10000).default(100),
+  cursor: cursorArg,
+  // 実行前に checkCompatibility で組み合わせを確認する
+  preflight: z.boolean().default(true),
+};
+
+async function runReportSpec(pid, spec, { cache }) {
+  const {
+    dimensions,
+    metrics,
+    dateRanges,
+    filter,
+    dimensionFilter,
+    metricFilter,
+    orderBys,
+    offset,
+    limit,
+    cursor,
+    preflight,
+  } = spec;
+
+  const badOrder = (orderBys ?? []).find(
+    (o) =>
+      !!o.dimension === !!o.metric ||
+      (o.dimension && !dimensions.includes(o.dimension)) ||
+      (o.metric && !metrics.includes(o.metric))
+  );
+  if (badOrder) {
+    throw toolError(
+      "INVALID_ARGUMENT",
+      "orderBys は dimension か metric のどちらか一方を指定し、dimensions/metrics に含まれる名前にして下さい。",
+      { orderBy: badOrder }
+    );
+  }
+
+  await assertKnownFields(pid, { dimensions, metrics }, { cache });
+
+  const filters = parseFilter(filter, metrics);
+  const fields = {
+    dimensions,
+    metrics,
+    dimensionFilter: andExpressions([filters.dimensionFilter, dimensionFilter]),
+    metricFilter: andExpressions([filters.metricFilter, metricFilter]),
+  };
+
+  if (preflight) {
+    const compat = await compatibilityReport(pid, fields, { cache });
+    if (!compat.compatible) {
+      throw toolError(
+        "INCOMPATIBLE_DIMENSIONS",
+        "同時に使えないディメンション/メトリクスが含まれています。",
+        { drop: compat.drop, alternatives: compat.alternatives }
+      );
+    }
+  }
+
+  const { rows, dimHeaders, metHeaders, ...page } = await runReportKV({
+    propertyId: pid,
+    cache,
+    ...fields,
+    dateRanges,
+    orderBys: orderBys?.map((o) =>
+      o.dimension
+        ? { dimension: { dimensionName: o.dimension, orderType: o.orderType }, desc: o.desc }
+        : { metric: { metricName: o.metric }, desc: o.desc }
+    ),
+    offset,
+    limit,
+    cursor,
+  });
+
+  return {
+    dateRanges,
+    filter: filter || null,
+    dimensionHeaders: dimHeaders,
+    metricHeaders: metHeaders,
+    pagination: pageInfo(page),
+    aggregations: aggregationInfo(page),
+    rows,
+  };
+}
+
+// 14) 汎用レポート（任意のディメンション/メトリクス）
+registerTool(
+  "ga_run_report",
+  "汎用レポート（任意のdimensions/metrics/filter/orderBys/複数期間）",
+  {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
+    ...reportSpecArgs,
+  },
+  async ({ propertyId, cache, ...spec }) => {
+    const pid = resolvePropertyId(propertyId);
+    const result = await runReportSpec(pid, spec, { cache });
+
+    return {
+      report: "run_report",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      ...result,
+    };
+  }
+);
+
+// 14b) 複数レポートの一括実行
+// GA_BATCH_MAX_REPORTS: 1回で実行できるレポート数（プロパティの同時リクエスト数クォータ 10 に合わせる）
+const GA_BATCH_MAX_REPORTS = Number(process.env.GA_BATCH_MAX_REPORTS || 10);
+
+registerTool(
+  "ga_batch_reports",
+  `名前付きの汎用レポート（最大${GA_BATCH_MAX_REPORTS}件）を並列実行し、名前ごとの結果/エラーをまとめて返す`,
+  {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
+    reports: z
+      .array(
+        z.object({
+          name: z.string().min(1),
+          // 省略時はツールの propertyId
+          propertyId: propertyIdArg,
+          ...reportSpecArgs,
+        })
+      )
+      .min(1)
+      .max(GA_BATCH_MAX_REPORTS),
+  },
+  async ({ propertyId, cache, reports }) => {
+    const names = reports.map((r) => r.name);
+    const dup = names.find((n, i) => names.indexOf(n) !== i);
+    if (dup) throw toolError("INVALID_ARGUMENT", `レポート名が重複しています: ${dup}`, { name: dup });
+
+    // 1件の失敗で全体を落とさないよう、レポートごとにエラーを結果へ詰める
+    const results = await Promise.all(
+      reports.map(async ({ name, propertyId: own, ...spec }) => {
+        try {
+          const pid = resolvePropertyId(own ?? propertyId);
+          const result = await runInToolContext(async () => ({
+            ok: true,
+            propertyId: pid,
+            ...(await runReportSpec(pid, spec, { cache })),
+          }));
+          return [name, result];
+        } catch (e) {
+          return [name, { ok: false, error: await describeError(e) }];
         }
+      })
+    );
+    const failed = results.filter(([, r]) => !r.ok).map(([name]) => name);
+    const pids = [...new Set(results.map(([, r]) => r.propertyId).filter(Boolean))];
 
-        return {
-          name: s.name,
-          isDirectlyFollowedBy: s.isDirectlyFollowedBy ?? false,
-          withinDurationFromPriorStep: s.withinDurationFromPriorStep,
-          filterExpression,
-        };
+    return {
+      report: "batch_reports",
+      quota: Object.fromEntries(pids.map((pid) => [pid, quotaSummary(pid)])),
+      succeeded: results.length - failed.length,
+      failed,
+      reports: Object.fromEntries(results),
+    };
+  }
+);
+
+// 15) クォータ状況（最後に観測した propertyQuota）
+registerTool(
+  "ga_quota_status",
+  "GA4 Data APIのトークン消費/残量（直近に観測した値）",
+  {
+    propertyId: propertyIdArg,
+  },
+  async ({ propertyId }) => {
+    const pids = propertyId ? [resolvePropertyId(propertyId)] : allowedPropertyIds();
+    return {
+      report: "quota_status",
+      properties: pids.map((pid) => ({
+        propertyId: pid,
+        observedAt: quotaByProperty.get(pid)?.observedAt ?? null,
+        propertyQuota: quotaByProperty.get(pid)?.propertyQuota ?? null,
+      })),
+      note: "値は直近のレポート取得時点のものです。未取得のプロパティは null になります。",
+    };
+  }
+);
+
+// 16) ピボット（行ディメンション × 列ディメンション）
+registerTool(
+  "ga_pivot_report",
+  "クロス集計（例: チャネル×デバイス、国×新規/リピーター）。生のピボットと、行/列合計付きの行列を返す",
+  {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
+    startDate: z.string().default("7daysAgo"),
+    endDate: z.string().default("yesterday"),
+    filter: filterArg,
+    rowDimensions: z.array(z.string().min(1)).min(1).max(4),
+    columnDimensions: z.array(z.string().min(1)).min(1).max(4),
+    metrics: z.array(z.string().min(1)).min(1).max(10).default(["sessions"]),
+    // 並び順は metrics[0] の降順
+    rowLimit: z.number().int().min(1).max(1000).default(20),
+    columnLimit: z.number().int().min(1).max(100).default(10),
+    includeRaw: z.boolean().default(true),
+  },
+  async ({
+    propertyId,
+    cache,
+    startDate,
+    endDate,
+    filter,
+    rowDimensions,
+    columnDimensions,
+    metrics,
+    rowLimit,
+    columnLimit,
+    includeRaw,
+  }) => {
+    const pid = resolvePropertyId(propertyId);
+    const dimensions = [...rowDimensions, ...columnDimensions];
+    if (new Set(dimensions).size !== dimensions.length) {
+      throw toolError("INVALID_ARGUMENT", "rowDimensions と columnDimensions に同じディメンションは指定できません。", {
+        rowDimensions,
+        columnDimensions,
       });
+    }
+    await assertKnownFields(pid, { dimensions, metrics }, { cache });
 
-      const body = {
-        dateRanges: [{ startDate, endDate }],
-        funnel: {
-          isOpenFunnel,
-          steps: funnelSteps,
-        },
+    const { raw, ...result } = await runPivotMatrix({
+      propertyId: pid,
+      cache,
+      rowDimensions,
+      columnDimensions,
+      metrics,
+      startDate,
+      endDate,
+      rowLimit,
+      columnLimit,
+      ...parseFilter(filter, metrics),
+    });
+
+    return {
+      report: "pivot_report",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      rowDimensions,
+      columnDimensions,
+      ...result,
+      raw: includeRaw ? raw : undefined,
+    };
+  }
+);
+
+// 17) コホート継続率
+registerTool(
+  "ga_cohort_retention",
+  "獲得日（初回セッション日）コホートの継続率（日/週/月単位、コホート×経過期間のアクティブユーザー数と継続率、初回チャネル別も可）",
+  {
+    propertyId: propertyIdArg,
+    cache: cacheArg,
+    // 獲得期間（この期間を粒度ごとのコホートに分割）
+    startDate: z.string().default("56daysAgo"),
+    endDate: z.string().default("yesterday"),
+    filter: filterArg,
+    granularity: z.enum(["daily", "weekly", "monthly"]).default("weekly"),
+    // 経過期間の数（0 = 獲得期間そのもの）
+    periods: z.number().int().min(1).max(52).default(8),
+    breakdown: z.enum(["none", "firstUserChannel"]).default("none"),
+  },
+  async ({ propertyId, cache, startDate, endDate, filter, granularity, periods, breakdown }) => {
+    const pid = resolvePropertyId(propertyId);
+    const { dimensionFilter, metricFilter } = parseFilter(filter, ["cohortActiveUsers", "cohortTotalUsers"]);
+    if (metricFilter) {
+      throw toolError("FILTER_PARSE_ERROR", "コホートレポートではメトリクスのフィルタは使えません。", { filter });
+    }
+
+    const result = await runCohortMatrix({
+      propertyId: pid,
+      cache,
+      startDate,
+      endDate,
+      granularity,
+      periods,
+      breakdownDimension: breakdown === "firstUserChannel" ? "firstUserDefaultChannelGroup" : null,
+      dimensionFilter,
+    });
+
+    return {
+      report: "cohort_retention",
+      propertyId: pid,
+      quota: quotaSummary(pid),
+      dateRange: { startDate, endDate },
+      filter: filter || null,
+      granularity,
+      breakdown,
+      ...result,
+    };
+  }
+);
+
+// ===== 保存済みレポート =====
+// GA_SAVED_REPORTS_FILE: 保存先の JSON ファイル（{ reports: { name: { tool, args, params, description } } }）
+const GA_SAVED_REPORTS_FILE = process.env.GA_SAVED_REPORTS_FILE || "saved-reports.json";
+const SAVED_REPORT_NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+// args 内の文字列に {{startDate}} のように書くと、実行時の params（省略時は保存時の既定値）で置き換える
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+let savedReports = null;
+let savedReportsWrite = Promise.resolve();
+// ファイルが壊れている/読めないときの理由。空の一覧で動かし、直るまで上書きしない（呼び出しごとに読み直す）
+let savedReportsError = null;
+const savedReportPrompts = new Map();
+
+async function loadSavedReports() {
+  if (savedReports && !savedReportsError) return savedReports;
+  let json = {};
+  try {
+    json = JSON.parse(await readFile(GA_SAVED_REPORTS_FILE, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      const message = `${GA_SAVED_REPORTS_FILE} を読み込めません: ${e.message}`;
+      if (message !== savedReportsError) console.error(message);
+      savedReportsError = message;
+      savedReports ??= new Map();
+      return savedReports;
+    }
+  }
+  const recovered = savedReportsError !== null;
+  savedReportsError = null;
+  savedReports = new Map(Object.entries(json.reports ?? {}));
+  // 起動後に直った場合は、ここでプロンプトを登録する
+  if (recovered) for (const [name, def] of savedReports) registerSavedReportPrompt(name, def);
+  return savedReports;
+}
+
+// 保存済みレポートは全員で共有する（一覧・実行は誰でもできる）が、上書き/削除は作成者と ga.admin を持つ呼び出し元だけ
+// createdBy の無い定義（認証なしで作られたもの）は管理者だけが変更できる
+function savedReportAuthor(caller) {
+  return caller ? caller.email || caller.clientId : null;
+}
+
+function assertSavedReportOwner(name, def) {
+  const caller = currentCaller();
+  if (!caller || caller.scopes.includes("ga.admin")) return;
+  if (def.createdBy && def.createdBy === savedReportAuthor(caller)) return;
+  const reason = def.createdBy ? `${def.createdBy} が作成したため作成者か管理者` : "作成者の記録が無いため管理者";
+  throw toolError("NOT_REPORT_OWNER", `保存済みレポート "${name}" は${reason}しか上書き/削除できません。`, {
+    name,
+    createdBy: def.createdBy ?? null,
+  });
+}
+
+function assertSavedReportsWritable() {
+  if (savedReportsError) {
+    throw toolError("SAVED_REPORTS_UNREADABLE", `${savedReportsError}（ファイルを直すまで保存/削除はできません）`);
+  }
+}
+
+// 一時ファイルに書いてから rename（書き込みは直列化）
+function persistSavedReports() {
+  const body = JSON.stringify({ reports: Object.fromEntries(savedReports) }, null, 2);
+  savedReportsWrite = savedReportsWrite
+    .catch(() => {})
+    .then(async () => {
+      const tmp = `${GA_SAVED_REPORTS_FILE}.${process.pid}.tmp`;
+      await writeFile(tmp, body);
+      await rename(tmp, GA_SAVED_REPORTS_FILE);
+    });
+  return savedReportsWrite;
+}
+
+function placeholdersOf(value, out = new Set()) {
+  if (typeof value === "string") for (const m of value.matchAll(PLACEHOLDER_RE)) out.add(m[1]);
+  else if (Array.isArray(value)) value.forEach((v) => placeholdersOf(v, out));
+  else if (value && typeof value === "object") Object.values(value).forEach((v) => placeholdersOf(v, out));
+  return out;
+}
+
+// 値全体が {{x}} ならそのまま（数値も可）、文字列の一部なら埋め込む
+function fillPlaceholders(value, params) {
+  if (typeof value === "string") {
+    const whole = value.match(/^\{\{\s*(\w+)\s*\}\}$/);
+    if (whole) return params[whole[1]];
+    return value.replace(PLACEHOLDER_RE, (_, k) => String(params[k]));
+  }
+  if (Array.isArray(value)) return value.map((v) => fillPlaceholders(v, params));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillPlaceholders(v, params)]));
+  }
+  return value;
+}
+
+function resolveSavedArgs(def, params = {}) {
+  const merged = { ...def.params, ...params };
+  const missing = [...placeholdersOf(def.args)].filter((k) => merged[k] === undefined);
+  if (missing.length) {
+    throw toolError("INVALID_ARGUMENT", `プレースホルダの値がありません: ${missing.join(", ")}`, { missing });
+  }
+  return fillPlaceholders(def.args, merged);
+}
+
+// 他のツールを引数検証付きで呼び出す
+async function invokeTool(tool, args, extra) {
+  const entry = toolRegistry.get(tool);
+  if (!entry) throw toolError("NOT_FOUND", `ツール "${tool}" はありません。`, { tool });
+  assertToolAllowed(tool, extra?.authInfo);
+  const parsed = z.object(entry.schema).safeParse(args);
+  if (!parsed.success) {
+    throw toolError("INVALID_ARGUMENT", `ツール "${tool}" の引数が不正です。`, { tool, issues: parsed.error.issues });
+  }
+  return runInToolContext(() => entry.handler(parsed.data, extra), callerOf(extra?.authInfo));
+}
+
+function getSavedReport(name) {
+  const def = savedReports.get(name);
+  if (!def) throw toolError("NOT_FOUND", `保存済みレポート "${name}" はありません。ga_list_saved_reports で確認して下さい。`, { name });
+  return def;
+}
+
+function savedReportSummary(name, def) {
+  return {
+    name,
+    tool: def.tool,
+    description: def.description ?? null,
+    placeholders: [...placeholdersOf(def.args)],
+    params: def.params ?? {},
+    createdBy: def.createdBy ?? null,
+    updatedAt: def.updatedAt ?? null,
+    updatedBy: def.updatedBy ?? null,
+  };
+}
+
+// 保存済みレポートを MCP プロンプト（saved_<name>）としても公開する
+function registerSavedReportPrompt(name, def) {
+  savedReportPrompts.get(name)?.remove();
+  const argsSchema = Object.fromEntries(
+    [...placeholdersOf(def.args)].map((k) => [k, z.string().optional().describe(`既定値: ${def.params?.[k] ?? "なし"}`)])
+  );
+  const prompt = mcpRegistry.prompt(
+    `saved_${name}`,
+    def.description || `保存済みレポート ${name}（${def.tool}）`,
+    argsSchema,
+    (params) => {
+      const given = Object.fromEntries(Object.entries(params).filter(([, v]) => v !== undefined && v !== ""));
+      return {
+        messages: [
+          {
+            role: "user",
+            content: {
+              type: "text",
+              text:
+                `保存済みレポート「${name}」を ga_run_saved_report で実行し、結果の要点をまとめて下さい。\n` +
+                JSON.stringify({ name, params: given }, null, 2),
+            },
+          },
+        ],
       };
+    }
+  );
+  savedReportPrompts.set(name, prompt);
+}
 
-      const resp = await runFunnelReportViaRest(body);
+function unregisterSavedReportPrompt(name) {
+  savedReportPrompts.get(name)?.remove();
+  savedReportPrompts.delete(name);
+}
+
+// 保存済みレポートの一覧（個別のプロンプトが無いクライアント向けの入口）
+mcpRegistry.prompt("saved_reports", "保存済みレポートの一覧から選んで実行する", async () => {
+  await loadSavedReports();
+  const list = [...savedReports].map(([name, def]) => savedReportSummary(name, def));
+  return {
+    messages: [
+      {
+        role: "user",
+        content: {
+          type: "text",
+          text: list.length
+            ? `次の保存済みレポートから目的に合うものを選び、ga_run_saved_report で実行して下さい。\n${JSON.stringify(list, null, 2)}`
+            : "保存済みレポートはまだありません。ga_save_report で保存できます。",
+        },
+      },
+    ],
+  };
+});
 
-      return jsonText({
-        report: "funnel_basic",
-        propertyId: GA4_PROPERTY_ID,
-        dateRange: { startDate, endDate },
-        request: { isOpenFunnel, steps },
-        response: resp,
-        note: "ファネルは v1alpha のため将来互換が変わる可能性があります。",
+// 18) レポート定義の保存
+registerTool(
+  "ga_save_report",
+  "ツール名と引数をレポート定義として名前付きで保存する（引数の文字列に {{startDate}} などのプレースホルダを使える）。定義は全員で共有され、上書きできるのは作成者と管理者だけ",
+  {
+    name: z.string().regex(SAVED_REPORT_NAME_RE),
+    tool: z.string().min(1),
+    args: z.record(z.any()).default({}),
+    // プレースホルダの既定値（例: { "startDate": "lastMonth", "endDate": "lastMonth" }）
+    params: z.record(z.union([z.string(), z.number()])).default({}),
+    description: z.string().max(500).optional(),
+    overwrite: z.boolean().default(false),
+  },
+  async ({ name, tool, args, params, description, overwrite }) => {
+    await loadSavedReports();
+    assertSavedReportsWritable();
+    if (!toolRegistry.has(tool) || /_saved_report|save_report/.test(tool)) {
+      throw toolError("INVALID_ARGUMENT", `ツール "${tool}" は保存できません。`, { tool });
+    }
+    const prev = savedReports.get(name);
+    if (prev && !overwrite) {
+      throw toolError("INVALID_ARGUMENT", `"${name}" は既に保存されています。上書きする場合は overwrite: true を指定して下さい。`, {
+        name,
       });
-    } catch (e) {
-      return jsonText({ report: "funnel_basic", error: formatErr(e) });
     }
+    if (prev) assertSavedReportOwner(name, prev);
+
+    const by = savedReportAuthor(currentCaller());
+    const def = {
+      tool,
+      args,
+      params,
+      description,
+      createdAt: prev?.createdAt ?? new Date().toISOString(),
+      createdBy: prev ? prev.createdBy ?? null : by,
+    };
+    def.updatedAt = new Date().toISOString();
+    def.updatedBy = by;
+
+    // 既定値で全プレースホルダが埋まるなら引数の形を保存前に検証しておく
+    const placeholders = placeholdersOf(args);
+    if ([...placeholders].every((k) => params[k] !== undefined)) {
+      const parsed = z.object(toolRegistry.get(tool).schema).safeParse(resolveSavedArgs(def));
+      if (!parsed.success) {
+        throw toolError("INVALID_ARGUMENT", `ツール "${tool}" の引数が不正です。`, { tool, issues: parsed.error.issues });
+      }
+    }
+
+    savedReports.set(name, def);
+    await persistSavedReports();
+    registerSavedReportPrompt(name, def);
+
+    return { report: "save_report", saved: savedReportSummary(name, def), overwritten: !!prev };
   }
 );
 
-// ===== Streamable HTTP transport（ステートレス） =====
-const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+// 19) 保存済みレポート一覧
+registerTool("ga_list_saved_reports", "保存済みレポート定義の一覧", {}, async () => {
+  await loadSavedReports();
+  return {
+    report: "list_saved_reports",
+    file: GA_SAVED_REPORTS_FILE,
+    error: savedReportsError,
+    reports: [...savedReports].map(([name, def]) => savedReportSummary(name, def)),
+  };
+});
+
+// 20) 保存済みレポートの実行
+registerTool(
+  "ga_run_saved_report",
+  "保存済みレポートを実行する（params でプレースホルダの値を上書き）",
+  {
+    name: z.string().min(1),
+    params: z.record(z.union([z.string(), z.number()])).default({}),
+  },
+  async ({ name, params }, extra) => {
+    await loadSavedReports();
+    const def = getSavedReport(name);
+    const args = resolveSavedArgs(def, params);
+
+    return {
+      report: "run_saved_report",
+      name,
+      tool: def.tool,
+      args,
+      result: await invokeTool(def.tool, args, extra),
+    };
+  }
+);
+
+// 21) 保存済みレポートの削除
+registerTool(
+  "ga_delete_saved_report",
+  "保存済みレポート定義を削除する（作成者と管理者のみ）",
+  {
+    name: z.string().min(1),
+  },
+  async ({ name }) => {
+    await loadSavedReports();
+    assertSavedReportsWritable();
+    assertSavedReportOwner(name, getSavedReport(name));
+    savedReports.delete(name);
+    await persistSavedReports();
+    unregisterSavedReportPrompt(name);
+
+    return { report: "delete_saved_report", deleted: name };
+  }
+);
+
+// 22) 直近のツール呼び出し（監査ログ）
+registerTool(
+  "ga_recent_activity",
+  "直近のツール呼び出し履歴（呼び出し元・ツール・プロパティ・所要時間・エラー種別）を新しい順に返す（管理者以外は自分の呼び出しのみ）",
+  {
+    limit: z.number().int().min(1).max(AUDIT_RECENT_MAX).default(50),
+    tool: z.string().optional(),
+    caller: z.string().optional(),
+    propertyId: propertyIdArg,
+    errorsOnly: z.boolean().default(false),
+  },
+  async ({ limit, tool, caller, propertyId, errorsOnly }) => {
+    const pid = propertyId ? resolvePropertyId(propertyId) : null;
+    // 他の呼び出し元の履歴を見られるのは、ga.admin を持ちプロパティの制限が無い呼び出し元だけ
+    const me = currentCaller();
+    const isAdmin = !me || (me.scopes.includes("ga.admin") && !me.properties);
+    const allowed = allowedPropertyIds();
+    const visible = (e) =>
+      (isAdmin || (e.caller === me.label && (e.subject ?? null) === (me.subject ?? null))) &&
+      (e.propertyIds ?? []).every((id) => allowed.includes(id));
+    const matched = recentAudit.filter(
+      (e) =>
+        visible(e) &&
+        (!tool || e.tool === tool) &&
+        (!caller || e.caller === caller) &&
+        (!pid || e.propertyIds?.includes(pid)) &&
+        (!errorsOnly || !e.ok)
+    );
+    return {
+      report: "recent_activity",
+      destination: MCP_AUDIT_LOG === "file" ? MCP_AUDIT_LOG_FILE : MCP_AUDIT_LOG,
+      scope: isAdmin ? "all" : "own",
+      matched: matched.length,
+      entries: matched.slice(-limit).reverse(),
+      note: `メモリ上の直近 ${AUDIT_RECENT_MAX} 件までが対象です。`,
+    };
+  }
+);
+
+// ===== MCPプロンプト：定型の分析手順 =====
+// 既存ツールを決まった順番で呼ぶよう指示する。引数は未指定なら各ツールの既定値に任せる
+const promptArgs = {
+  propertyId: z.string().optional().describe("プロパティID または別名（省略時は既定プロパティ）"),
+  startDate: z.string().optional().describe("開始日（YYYY-MM-DD / 7daysAgo / lastWeek など）"),
+  endDate: z.string().optional().describe("終了日"),
+  keyEventName: z.string().optional().describe("重視するキーイベント名（例: purchase）"),
+};
+
+function workflowPrompt(goal, steps, closing) {
+  const compact = (args) => Object.fromEntries(Object.entries(args).filter(([, v]) => v !== undefined && v !== ""));
+  const lines = steps.map(
+    (s, i) => `${i + 1}. ${s.tool} ${JSON.stringify(compact(s.args))}\n   → ${s.why}`
+  );
+  return {
+    messages: [
+      {
+        role: "user",
+        content: {
+          type: "text",
+          text: [
+            `目的: ${goal}`,
+            "次のツールをこの順番で呼び出して下さい。エラーになった手順は error.hint に従って引数を直して再実行し、飛ばさないで下さい。",
+            ...lines,
+            `最後に: ${closing}`,
+          ].join("\n"),
+        },
+      },
+    ],
+  };
+}
+
+mcpRegistry.prompt(
+  "weekly_performance_review",
+  "週次パフォーマンスレビュー（KPI → チャネル比較 → LP → 異常検知）",
+  promptArgs,
+  ({ propertyId, startDate = "lastWeek", endDate = "lastWeek", keyEventName }) =>
+    workflowPrompt(
+      `${startDate}〜${endDate} の週次レビューを作る`,
+      [
+        { tool: "ga_kpi_overview", args: { propertyId, startDate, endDate, keyEventName, compare: "previous_period" }, why: "全体 KPI と前週比を把握する" },
+        { tool: "ga_channel_summary_compare", args: { propertyId, startDate, endDate, keyEventName }, why: "増減に効いたチャネルを特定する" },
+        { tool: "ga_landing_page_performance", args: { propertyId, startDate, endDate, keyEventName, compare: "previous_period", limit: 10 }, why: "主要 LP の変化を確認する" },
+        { tool: "ga_daily_anomalies", args: { propertyId, endDate, metric: "sessions", dimension: "sessionDefaultChannelGroup" }, why: "期間中の異常日とチャネルを洗い出す" },
+      ],
+      "KPI の増減、要因（チャネル/LP）、異常日、来週確認すべきことを箇条書きでまとめて下さい。"
+    )
+);
+
+mcpRegistry.prompt(
+  "campaign_postmortem",
+  "キャンペーン振り返り（キャンペーン実績 → 日次推移 → 異常検知 → デバイス/LP）",
+  {
+    ...promptArgs,
+    campaignName: z.string().describe("対象のキャンペーン名（sessionCampaignName）"),
+  },
+  ({ propertyId, startDate = "30daysAgo", endDate = "yesterday", keyEventName, campaignName }) => {
+    const filter = `sessionCampaignName == ${JSON.stringify(campaignName)}`;
+    return workflowPrompt(
+      `キャンペーン「${campaignName}」（${startDate}〜${endDate}）の振り返り`,
+      [
+        { tool: "ga_campaign_performance", args: { propertyId, startDate, endDate, filter, compare: "previous_period" }, why: "参照元/メディア別の実績と前期間比を確認する" },
+        { tool: "ga_daily_trend", args: { propertyId, startDate, endDate, filter }, why: "配信期間中の推移を見る" },
+        { tool: "ga_daily_anomalies", args: { propertyId, startDate, endDate, filter, metric: keyEventName ? `keyEvents:${keyEventName}` : "keyEvents" }, why: "成果の山/谷になった日を特定する" },
+        { tool: "ga_device_breakdown", args: { propertyId, startDate, endDate, filter }, why: "デバイス別の効率差を確認する" },
+        { tool: "ga_landing_page_performance", args: { propertyId, startDate, endDate, filter, keyEventName, limit: 10 }, why: "流入先 LP ごとの成果を確認する" },
+      ],
+      "成果、うまくいった点/課題、次回の改善案をまとめて下さい。"
+    );
+  }
+);
+
+mcpRegistry.prompt(
+  "landing_page_audit",
+  "LP監査（LP実績 → デバイス × LP → 流入チャネル → 後続イベント）",
+  {
+    ...promptArgs,
+    pagePathContains: z.string().optional().describe("対象 LP のパスに含まれる文字列（省略時は上位 LP 全体）"),
+  },
+  ({ propertyId, startDate = "28daysAgo", endDate = "yesterday", keyEventName, pagePathContains }) => {
+    const filter = pagePathContains ? `landingPagePlusQueryString contains ${JSON.stringify(pagePathContains)}` : undefined;
+    return workflowPrompt(
+      `${pagePathContains ? `「${pagePathContains}」を含む LP` : "上位 LP"}（${startDate}〜${endDate}）の監査`,
+      [
+        { tool: "ga_landing_page_performance", args: { propertyId, startDate, endDate, filter, keyEventName, compare: "previous_period", limit: 20 }, why: "LP ごとのセッション/CV率と前期間比を確認する" },
+        { tool: "ga_pivot_report", args: { propertyId, startDate, endDate, filter, rowDimensions: ["landingPagePlusQueryString"], columnDimensions: ["deviceCategory"], metrics: ["sessions", "keyEvents"], rowLimit: 10, includeRaw: false }, why: "デバイス別に成果が落ちている LP を探す" },
+        { tool: "ga_pivot_report", args: { propertyId, startDate, endDate, filter, rowDimensions: ["landingPagePlusQueryString"], columnDimensions: ["sessionDefaultChannelGroup"], metrics: ["sessions"], rowLimit: 10, includeRaw: false }, why: "LP ごとの流入チャネル構成を見る" },
+        { tool: "ga_top_events", args: { propertyId, startDate, endDate }, why: "LP 到達後に発生しているイベントを確認する" },
+      ],
+      "改善優先度の高い LP と、その理由（デバイス/チャネル/CV率）、具体的な改善案を挙げて下さい。"
+    );
+  }
+);
+
+mcpRegistry.prompt(
+  "traffic_drop_investigation",
+  "トラフィック減少の調査（異常検知 → 前期間比較 → チャネル/デバイス/国/LP の切り分け）",
+  {
+    ...promptArgs,
+    metric: z.string().optional().describe("調査するメトリクス（既定 sessions）"),
+  },
+  ({ propertyId, startDate = "7daysAgo", endDate = "yesterday", keyEventName, metric = "sessions" }) =>
+    workflowPrompt(
+      `${startDate}〜${endDate} の ${metric} 減少の原因を特定する`,
+      [
+        { tool: "ga_daily_anomalies", args: { propertyId, endDate, metric, method: "robust" }, why: "減少が始まった日と大きさを特定する" },
+        { tool: "ga_kpi_overview", args: { propertyId, startDate, endDate, keyEventName, compare: "previous_period" }, why: "全体でどの KPI がどれだけ落ちたか確認する" },
+        { tool: "ga_channel_summary_compare", args: { propertyId, startDate, endDate, keyEventName }, why: "減少の大きいチャネルを特定する" },
+        { tool: "ga_device_breakdown", args: { propertyId, startDate, endDate, compare: "previous_period" }, why: "特定デバイスに偏っていないか確認する" },
+        { tool: "ga_country_breakdown", args: { propertyId, startDate, endDate, compare: "previous_period" }, why: "特定の国/地域に偏っていないか確認する" },
+        { tool: "ga_landing_page_performance", args: { propertyId, startDate, endDate, keyEventName, compare: "previous_period", limit: 20 }, why: "減少が集中している LP を特定する" },
+      ],
+      "減少の開始日、影響範囲（チャネル/デバイス/国/LP）、考えられる原因（計測・季節性・施策・外部要因）と確認方法をまとめて下さい。"
+    )
+);
 
+// ===== Streamable HTTP transport（ステートレス） =====
 async function main() {
-  await mcp.connect(transport);
+  if (MCP_KEYS_FILE || MCP_KEYS) {
+    await reloadKeyRegistry();
+    process.on("SIGHUP", () => reloadKeyRegistry());
+  }
+  await loadRecentAudit();
+  // 保存済みレポートのプロンプトを起動時に登録しておく
+  for (const [name, def] of await loadSavedReports()) registerSavedReportPrompt(name, def);
 
   app.get("/health", (_req, res) => {
     const errs = configErrors();
@@ -789,13 +4656,59 @@ async function main() {
     return res.status(200).send("ok");
   });
 
+  // 詳細（プロパティ ID・エイリアス・エラーメッセージ）は管理者にだけ返し、それ以外には状態だけを返す
+  app.get("/health/ready", async (req, res) => {
+    const r = await getReadiness();
+    const status = r.status === "ready" ? 200 : 503;
+    if (isUnrestrictedAdmin(await authenticate(req))) return res.status(status).json(r);
+    return res.status(status).json({ status: r.status, checkedAt: r.checkedAt });
+  });
+
+  app.get("/metrics", async (req, res) => {
+    const token = /^Bearer\s+(\S+)$/i.exec(req.header("authorization") || "")?.[1];
+    const byToken = Boolean(MCP_METRICS_TOKEN && token && safeEqual(token, MCP_METRICS_TOKEN));
+    if (!byToken && !isUnrestrictedAdmin(await authenticate(req))) return res.status(401).send("unauthorized");
+    res.type("text/plain; version=0.0.4; charset=utf-8");
+    return res.send(renderMetrics());
+  });
+
+  // RFC 9728 protected-resource metadata（OAuth 利用時のみ）。WWW-Authenticate で知らせる URL と同じパスで返す
+  const metadataPaths = ["/.well-known/oauth-protected-resource"];
+  if (MCP_OAUTH_ISSUER && MCP_RESOURCE_URL) metadataPaths.push(new URL(protectedResourceMetadataUrl()).pathname);
+  app.get([...new Set(metadataPaths)], (_req, res) => {
+    if (!MCP_OAUTH_ISSUER || !MCP_RESOURCE_URL) return res.status(404).json({ error: "not_found" });
+    return res.json(protectedResourceMetadata());
+  });
+
   app.post("/mcp/:token?", async (req, res) => {
     const errs = configErrors();
     if (errs.length) return res.status(500).json({ error: errs.join(" | ") });
 
-    if (!isAuthorized(req)) return res.status(401).json({ error: "unauthorized" });
+    const authInfo = await authenticate(req);
+    if (!authInfo) {
+      const hasBearer = /^Bearer\s/i.test(req.header("authorization") || "");
+      return challenge(res, 401, hasBearer ? { error: "invalid_token" } : {});
+    }
+    const missing = requiredScopes(req.body).filter((s) => !authInfo.scopes.includes(s));
+    if (missing.length) return challenge(res, 403, { error: "insufficient_scope", scope: missing.join(" ") });
+    const calls = (Array.isArray(req.body) ? req.body : [req.body]).filter((m) => m?.method === "tools/call").length;
+    const retryAfter = takeRateLimit(authInfo, calls);
+    if (retryAfter) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ error: "rate_limited", key: authInfo.extra.label, retryAfterSec: retryAfter });
+    }
+    // transport が extra.authInfo としてツールに渡す
+    req.auth = authInfo;
+
+    const server = createMcpServer(authInfo);
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    res.on("close", () => {
+      transport.close();
+      server.close();
+    });
 
     try {
+      await server.connect(transport);
       await transport.handleRequest(req, res, req.body);
     } catch (err) {
       console.error(err);
@@ -816,7 +4729,13 @@ async function main() {
   app.listen(port, () => console.log(`MCP server listening on :${port}`));
 }
 
-main().catch((e) => {
-  console.error(e);
-  process.exit(1);
-});
+// テストから import したときはサーバーを起動しない
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+// テスト用
+export { checkReadiness, detectAnomalies, gaClient, getPropertySettings, googleRestRequest, invokeTool, parseFunnelNextActions, parseFunnelTable };
@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server } from "./helpers.mjs";
+
+// 再現できる乱数（mulberry32）
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 曜日の季節性（日曜が底）+ 緩やかな増加トレンド + ±8% のノイズの 60 日分に、1 日だけ 3 倍のスパイクを入れる
+const WEEKLY = [0.6, 1.1, 1.2, 1.15, 1.1, 1.0, 0.7];
+const SPIKE_DATE = "2026-08-10";
+
+function seasonalSeriesWithSpike(seed) {
+  const rand = random(seed);
+  return Array.from({ length: 60 }, (_, i) => {
+    const date = new Date(Date.UTC(2026, 6, 1 + i)).toISOString().slice(0, 10);
+    const noise = 1 + (rand() * 2 - 1) * 0.08;
+    const value = Math.round(1000 * (1 + i / 300) * WEEKLY[new Date(date).getUTCDay()] * noise);
+    return { date, value: date === SPIKE_DATE ? value * 3 : value };
+  });
+}
+
+for (const method of ["robust", "stl"]) {
+  test(`detectAnomalies(${method}) は季節性のある系列の 1 日のスパイクだけを検知し、同じ曜日の他の日を巻き込まない`, () => {
+    for (const seed of [2, 3, 4, 5, 6]) {
+      const anomalies = server.detectAnomalies(seasonalSeriesWithSpike(seed), { method, windowDays: 7, zThreshold: 2.5 });
+      assert.deepEqual(
+        anomalies.map((a) => [a.date, a.direction]),
+        [[SPIKE_DATE, "spike"]],
+        `seed ${seed}`
+      );
+    }
+  });
+}
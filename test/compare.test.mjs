@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, stubAuth, stubFetch } from "./helpers.mjs";
+
+const metricHeaders = [
+  { name: "sessions", type: "TYPE_INTEGER" },
+  { name: "activeUsers", type: "TYPE_INTEGER" },
+  { name: "keyEvents", type: "TYPE_INTEGER" },
+  { name: "sessionKeyEventRate", type: "TYPE_FLOAT" },
+];
+const row = (page, ...values) => ({
+  dimensionValues: [{ value: page }],
+  metricValues: values.map((v) => ({ value: String(v) })),
+});
+
+// 今期は 3 行中 2 行だけ返す（合計 1000 セッション）。前期間は inList で絞った 2 行
+function reportFor(request) {
+  const previous = request.dateRanges[0].startDate === "2026-08-01";
+  return {
+    dimensionHeaders: [{ name: "landingPagePlusQueryString" }],
+    metricHeaders,
+    rows: previous
+      ? [row("/a", 300, 280, 20, 0.0667), row("/b", 200, 190, 10, 0.05)]
+      : [row("/a", 500, 450, 50, 0.1), row("/b", 300, 290, 15, 0.05)],
+    totals: [row("RESERVED_TOTAL", ...(previous ? [500, 470, 30, 0.06] : [1000, 900, 80, 0.08]))],
+    rowCount: previous ? 2 : 3,
+  };
+}
+
+test("ga_landing_page_performance は前期間比較でも今期の合計に対する share と (other) を返す", async (t) => {
+  stubAuth(t);
+  stubFetch(t, () => ({ timeZone: "Asia/Tokyo", currencyCode: "JPY" }));
+  t.mock.method(server.gaClient, "runReport", async (request) => [reportFor(request)]);
+
+  const out = await server.invokeTool("ga_landing_page_performance", {
+    cache: "bypass",
+    startDate: "2026-09-01",
+    endDate: "2026-09-30",
+    compare: "custom",
+    compareStartDate: "2026-08-01",
+    compareEndDate: "2026-08-30",
+    limit: 2,
+  });
+
+  assert.deepEqual(
+    out.rows.map((r) => [r.landingPagePlusQueryString, r.current.sessions, r.previous.sessions, r.share]),
+    [
+      ["/a", 500, 300, { sessions: 0.5, activeUsers: 0.5, keyEvents: 0.625 }],
+      ["/b", 300, 200, { sessions: 0.3, activeUsers: 290 / 900, keyEvents: 0.1875 }],
+    ]
+  );
+  assert.equal(out.aggregations.other.rows, 1);
+  assert.equal(out.aggregations.other.sessions, 200);
+  assert.deepEqual(out.aggregations.other.share, { sessions: 0.2, keyEvents: 0.1875 });
+});
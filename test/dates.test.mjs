@@ -0,0 +1,34 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, stubAuth, stubFetch } from "./helpers.mjs";
+
+// GA に送られたら失敗させる（日付の誤りはローカルで弾く）
+function forbidGaCalls(t) {
+  t.mock.method(server.gaClient, "runReport", async () => assert.fail("runReport が呼ばれました"));
+  stubAuth(t);
+  stubFetch(t, () => ({ timeZone: "Asia/Tokyo", currencyCode: "JPY" }));
+}
+
+for (const [startDate, endDate, bad] of [
+  ["2026-02-30", "2026-03-05", "2026-02-30"],
+  ["2026-01-01", "2026-13-01", "2026-13-01"],
+]) {
+  test(`暦に無い日付 ${bad} は INVALID_DATE で、値を details に含める`, async (t) => {
+    forbidGaCalls(t);
+    await assert.rejects(server.invokeTool("ga_daily_trend", { startDate, endDate }), (e) => {
+      assert.equal(e.code, "INVALID_DATE");
+      assert.deepEqual(e.details, { value: bad });
+      return true;
+    });
+  });
+}
+
+test("GA がそのまま受け付ける形式でも、逆転した期間は送る前に INVALID_DATE_RANGE にする", async (t) => {
+  forbidGaCalls(t);
+  await assert.rejects(server.invokeTool("ga_daily_trend", { startDate: "2026-01-01", endDate: "2025-12-01" }), {
+    code: "INVALID_DATE_RANGE",
+  });
+  await assert.rejects(server.invokeTool("ga_daily_trend", { startDate: "7daysAgo", endDate: "30daysAgo" }), {
+    code: "INVALID_DATE_RANGE",
+  });
+});
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, stubAuth, stubFetch } from "./helpers.mjs";
+
+const metadata = {
+  dimensions: [{ apiName: "date" }, { apiName: "deviceCategory" }],
+  metrics: [{ apiName: "sessions" }, { apiName: "activeUsers" }, { apiName: "keyEvents" }, { apiName: "bounceRate" }],
+};
+
+function stubGa(t) {
+  stubAuth(t);
+  stubFetch(t, () => ({ timeZone: "Asia/Tokyo", currencyCode: "JPY" }));
+  t.mock.method(server.gaClient, "getMetadata", async () => [metadata]);
+  return t.mock.method(server.gaClient, "runReport", async () => [
+    { dimensionHeaders: [{ name: "date" }], metricHeaders: [{ name: "sessions", type: "TYPE_INTEGER" }], rows: [], rowCount: 0 },
+  ]);
+}
+
+test("ツールの metrics に無いメトリクスでの絞り込みは、フィールド名を示す DSL エラーにする", async (t) => {
+  const runReport = stubGa(t);
+  await assert.rejects(
+    server.invokeTool("ga_daily_trend", {
+      startDate: "2026-09-01",
+      endDate: "2026-09-30",
+      filter: 'deviceCategory == "mobile" and bounceRate > 0.5',
+    }),
+    (e) => {
+      assert.equal(e.code, "FILTER_PARSE_ERROR");
+      assert.equal(e.details.field, "bounceRate");
+      assert.match(e.message, /"bounceRate" はメトリクス/);
+      return true;
+    }
+  );
+  assert.equal(runReport.mock.callCount(), 0);
+});
+
+test("ディメンションでの絞り込みはそのまま dimensionFilter として送る", async (t) => {
+  const runReport = stubGa(t);
+  await server.invokeTool("ga_daily_trend", { startDate: "2026-09-01", endDate: "2026-09-30", filter: 'deviceCategory == "mobile"' });
+  assert.ok(runReport.mock.callCount() >= 1);
+  assert.deepEqual(runReport.mock.calls[0].arguments[0].dimensionFilter, {
+    filter: { fieldName: "deviceCategory", stringFilter: { matchType: "EXACT", value: "mobile", caseSensitive: true } },
+  });
+});
@@ -0,0 +1,185 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, stubAuth, stubFetch } from "./helpers.mjs";
+
+const metricHeaders = [
+  { name: "activeUsers", type: "TYPE_INTEGER" },
+  { name: "funnelStepCompletionRate", type: "TYPE_FLOAT" },
+  { name: "funnelStepAbandonments", type: "TYPE_INTEGER" },
+  { name: "funnelStepAbandonmentRate", type: "TYPE_FLOAT" },
+];
+const row = (step, device, users, rate, abandonments, abandonmentRate) => ({
+  dimensionValues: [{ value: step }, { value: device }],
+  metricValues: [String(users), String(rate), String(abandonments), String(abandonmentRate)].map((value) => ({ value })),
+});
+
+// runFunnelReport（v1alpha）のレスポンス形：ブレークダウンの合計行は RESERVED_TOTAL、最終ステップの完了率は 0
+const funnelResponse = {
+  funnelTable: {
+    dimensionHeaders: [{ name: "funnelStepName" }, { name: "deviceCategory" }],
+    metricHeaders,
+    rows: [
+      row("1. 商品閲覧", "RESERVED_TOTAL", 1000, 0.4, 600, 0.6),
+      row("2. カート追加", "RESERVED_TOTAL", 400, 0.25, 300, 0.75),
+      row("3. 購入", "RESERVED_TOTAL", 100, 0, 100, 1),
+      row("1. 商品閲覧", "mobile", 700, 0.3, 490, 0.7),
+      row("2. カート追加", "mobile", 210, 0.2, 168, 0.8),
+      row("3. 購入", "mobile", 42, 0, 42, 1),
+    ],
+    metadata: {},
+  },
+  funnelNextActionTable: {
+    dimensionHeaders: [{ name: "funnelStepName" }, { name: "eventName" }],
+    metricHeaders: [{ name: "activeUsers", type: "TYPE_INTEGER" }],
+    rows: [
+      { dimensionValues: [{ value: "1. 商品閲覧" }, { value: "scroll" }], metricValues: [{ value: "120" }] },
+      { dimensionValues: [{ value: "1. 商品閲覧" }, { value: "page_view" }], metricValues: [{ value: "300" }] },
+      { dimensionValues: [{ value: "2. カート追加" }, { value: "(not set)" }], metricValues: [{ value: "80" }] },
+    ],
+  },
+  kind: "analyticsData#runFunnelReport",
+};
+
+test("ga_funnel_basic は v1alpha の runFunnelReport にステップ条件を送り、ステップごとの数値に変換する", async (t) => {
+  stubAuth(t);
+  const calls = stubFetch(t, (url) =>
+    url.includes(":runFunnelReport") ? funnelResponse : { timeZone: "Asia/Tokyo", currencyCode: "JPY" }
+  );
+
+  const out = await server.invokeTool("ga_funnel_basic", {
+    cache: "bypass",
+    startDate: "2026-09-01",
+    endDate: "2026-09-30",
+    steps: [
+      { name: "商品閲覧", eventName: "view_item", parameterFilter: 'item.item_category == "shoes"' },
+      { name: "カート追加", eventName: ["add_to_cart", "add_to_wishlist"], isDirectlyFollowedBy: true },
+      { name: "購入", eventName: "purchase", filter: 'pagePath begins_with "/checkout"', withinDurationFromPriorStep: "1800s" },
+    ],
+    breakdownDimension: "deviceCategory",
+    nextActionDimension: "eventName",
+    segments: [{ name: "有料流入", scope: "session", filter: 'sessionMedium == "cpc"' }],
+  });
+
+  const funnelCalls = calls.filter((c) => c.url.includes(":runFunnelReport"));
+  assert.equal(funnelCalls.length, 1);
+  const [call] = funnelCalls;
+  assert.equal(call.url, "https://analyticsdata.googleapis.com/v1alpha/properties/123:runFunnelReport");
+  assert.equal(call.init.method, "POST");
+  assert.equal(call.headers.get("authorization"), "Bearer test-token");
+
+  assert.deepEqual(call.body.dateRanges, [{ startDate: "2026-09-01", endDate: "2026-09-30" }]);
+  assert.equal(call.body.funnel.isOpenFunnel, false);
+  assert.deepEqual(call.body.funnel.steps, [
+    {
+      name: "商品閲覧",
+      isDirectlyFollowedBy: false,
+      filterExpression: {
+        funnelEventFilter: {
+          eventName: "view_item",
+          funnelParameterFilterExpression: {
+            funnelParameterFilter: {
+              itemParameterName: "item_category",
+              stringFilter: { matchType: "EXACT", value: "shoes", caseSensitive: true },
+            },
+          },
+        },
+      },
+    },
+    {
+      name: "カート追加",
+      isDirectlyFollowedBy: true,
+      filterExpression: {
+        orGroup: {
+          expressions: [{ funnelEventFilter: { eventName: "add_to_cart" } }, { funnelEventFilter: { eventName: "add_to_wishlist" } }],
+        },
+      },
+    },
+    {
+      name: "購入",
+      isDirectlyFollowedBy: false,
+      withinDurationFromPriorStep: "1800s",
+      filterExpression: {
+        andGroup: {
+          expressions: [
+            { funnelEventFilter: { eventName: "purchase" } },
+            {
+              funnelFieldFilter: {
+                fieldName: "pagePath",
+                stringFilter: { matchType: "BEGINS_WITH", value: "/checkout", caseSensitive: false },
+              },
+            },
+          ],
+        },
+      },
+    },
+  ]);
+  assert.deepEqual(call.body.funnelBreakdown, { breakdownDimension: { name: "deviceCategory" }, limit: "5" });
+  assert.deepEqual(call.body.funnelNextAction, { nextActionDimension: { name: "eventName" }, limit: "5" });
+  assert.deepEqual(call.body.segments, [
+    {
+      name: "有料流入",
+      sessionSegment: {
+        sessionInclusionCriteria: {
+          andConditionGroups: [
+            {
+              conditionScoping: "WITHIN_SAME_SESSION",
+              segmentFilterExpression: {
+                segmentFilter: {
+                  fieldName: "sessionMedium",
+                  stringFilter: { matchType: "EXACT", value: "cpc", caseSensitive: true },
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+  ]);
+
+  assert.deepEqual(
+    out.series.map((s) => s.deviceCategory),
+    ["(total)", "mobile"]
+  );
+  assert.deepEqual(out.series[0].steps, [
+    { step: 1, name: "商品閲覧", users: 1000, completionRate: 0.4, abandonments: 600, abandonmentRate: 0.6, dropOff: 600, rateFromStart: 1 },
+    { step: 2, name: "カート追加", users: 400, completionRate: 0.25, abandonments: 300, abandonmentRate: 0.75, dropOff: 300, rateFromStart: 0.4 },
+    { step: 3, name: "購入", users: 100, completionRate: 0, abandonments: 100, abandonmentRate: 1, dropOff: null, rateFromStart: 0.1 },
+  ]);
+  assert.equal(out.series[0].overallCompletionRate, 0.1);
+  assert.equal(out.series[1].overallCompletionRate, 0.06);
+
+  assert.deepEqual(out.nextActions, [
+    {
+      step: 1,
+      name: "商品閲覧",
+      nextActions: [
+        { action: "page_view", users: 300 },
+        { action: "scroll", users: 120 },
+      ],
+    },
+    { step: 2, name: "カート追加", nextActions: [{ action: "(not set)", users: 80 }] },
+    { step: 3, name: "購入", nextActions: [] },
+  ]);
+});
+
+test("parseFunnelTable は GA が返さなかったステップを 0 人として率を計算する", () => {
+  const table = {
+    dimensionHeaders: [{ name: "funnelStepName" }],
+    metricHeaders: [{ name: "activeUsers" }],
+    rows: [
+      { dimensionValues: [{ value: "1. a" }], metricValues: [{ value: "50" }] },
+      { dimensionValues: [{ value: "2. b" }], metricValues: [{ value: "20" }] },
+    ],
+  };
+  const [series] = server.parseFunnelTable(table, ["a", "b", "c"]);
+  assert.deepEqual(
+    series.steps.map(({ users, completionRate, dropOff }) => ({ users, completionRate, dropOff })),
+    [
+      { users: 50, completionRate: 0.4, dropOff: 30 },
+      { users: 20, completionRate: 0, dropOff: 20 },
+      { users: 0, completionRate: null, dropOff: null },
+    ]
+  );
+  assert.equal(series.overallCompletionRate, 0);
+  assert.deepEqual(server.parseFunnelNextActions(undefined, ["a"]), [{ step: 1, name: "a", nextActions: [] }]);
+});
@@ -0,0 +1,46 @@
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// server.mjs は import 時に環境変数を読むので、先に設定してから読み込む
+process.env.GA4_PROPERTY_ID ??= "123";
+process.env.GA4_TIME_ZONE ??= "Asia/Tokyo";
+process.env.MCP_AUDIT_LOG ??= "off";
+
+// 保存済みレポートはテストごとの一時ディレクトリに書く
+const dataDir = mkdtempSync(join(tmpdir(), "ga-mcp-test-"));
+process.env.GA_SAVED_REPORTS_FILE ??= join(dataDir, "saved-reports.json");
+process.on("exit", () => rmSync(dataDir, { recursive: true, force: true }));
+
+export const server = await import("../server.mjs");
+
+// fetch を差し替えて送信内容を記録する。respond(url, init) の戻り値をレスポンス本文（JSON）にする
+export function stubFetch(t, respond) {
+  const calls = [];
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url, init = {}) => {
+    calls.push({ url: String(url), init, headers: new Headers(init.headers), body: init.body ? JSON.parse(init.body) : undefined });
+    return new Response(JSON.stringify(await respond(String(url), init)), { status: 200 });
+  };
+  t.after(() => (globalThis.fetch = original));
+  return calls;
+}
+
+// GA クライアントの認証を固定のトークンにする（v10 と同じく Headers を返す）
+export function stubAuth(t, token = "test-token") {
+  const original = server.gaClient.auth.getClient;
+  server.gaClient.auth.getClient = async () => ({
+    getRequestHeaders: async () => new Headers({ authorization: `Bearer ${token}` }),
+  });
+  t.after(() => (server.gaClient.auth.getClient = original));
+}
+
+// キー登録簿のキーで認証したときと同じ形の AuthInfo
+export function keyAuth(label, { admin = false } = {}) {
+  return {
+    token: "",
+    clientId: label,
+    scopes: admin ? ["ga.read", "ga.saved_reports", "ga.admin"] : ["ga.read", "ga.saved_reports"],
+    extra: { via: "key_registry", label, subject: null, email: null, properties: null, tools: null },
+  };
+}
@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, stubAuth, stubFetch } from "./helpers.mjs";
+
+test("getPropertySettings は Admin API のタイムゾーン/通貨を使い、同時の問い合わせを 1 回にまとめる", async (t) => {
+  stubAuth(t);
+  const calls = stubFetch(t, async () => {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return { timeZone: "America/Los_Angeles", currencyCode: "USD" };
+  });
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => server.getPropertySettings("9001")));
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url, "https://analyticsadmin.googleapis.com/v1beta/properties/9001");
+  assert.equal(calls[0].headers.get("authorization"), "Bearer test-token");
+  for (const r of results) assert.deepEqual(r, { timeZone: "America/Los_Angeles", currencyCode: "USD", source: "admin_api" });
+});
+
+test("getPropertySettings は Admin API が失敗したら設定値にフォールバックし、再試行の間隔内は問い合わせない", async (t) => {
+  stubAuth(t);
+  const calls = stubFetch(t, () => {
+    throw new Error("boom");
+  });
+  const warn = t.mock.method(console, "warn", () => {});
+
+  const first = await server.getPropertySettings("9002");
+  const second = await server.getPropertySettings("9002");
+
+  assert.equal(first.source, "config");
+  assert.equal(first.timeZone, "Asia/Tokyo");
+  assert.equal(second.source, "config");
+  assert.equal(calls.length, 1);
+  assert.equal(warn.mock.callCount(), 1);
+});
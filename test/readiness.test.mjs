@@ -0,0 +1,18 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server } from "./helpers.mjs";
+
+test("checkReadiness は認証情報ファイルが読めないときも credentials を UNAUTHENTICATED/auth にする", async (t) => {
+  const err = Object.assign(new Error("ENOENT: no such file or directory, open '/secrets/sa.json'"), { code: "ENOENT" });
+  t.mock.method(server.gaClient.auth, "getAccessToken", async () => {
+    throw err;
+  });
+
+  const r = await server.checkReadiness();
+
+  assert.equal(r.status, "not_ready");
+  assert.equal(r.credentials.ok, false);
+  assert.equal(r.credentials.error.code, "UNAUTHENTICATED");
+  assert.equal(r.credentials.error.category, "auth");
+  assert.ok(r.properties.every((p) => p.skipped));
+});
@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { server, stubAuth, stubFetch } from "./helpers.mjs";
+
+test("googleRestRequest は Authorization ヘッダーを付けて送る", async (t) => {
+  stubAuth(t, "abc");
+  const calls = stubFetch(t, () => ({ ok: true }));
+
+  const out = await server.googleRestRequest("https://example.test/v1/x", { method: "POST", body: { a: 1 }, label: "Test" });
+
+  assert.deepEqual(out, { ok: true });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].headers.get("authorization"), "Bearer abc");
+  assert.equal(calls[0].headers.get("content-type"), "application/json");
+  assert.deepEqual(calls[0].body, { a: 1 });
+});
+
+test("googleRestRequest は GET では content-type を付けない", async (t) => {
+  stubAuth(t);
+  const calls = stubFetch(t, () => ({}));
+
+  await server.googleRestRequest("https://example.test/v1/y", { label: "Test" });
+
+  assert.equal(calls[0].init.method, "GET");
+  assert.equal(calls[0].headers.get("authorization"), "Bearer test-token");
+  assert.equal(calls[0].headers.has("content-type"), false);
+});
@@ -0,0 +1,25 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { keyAuth, server } from "./helpers.mjs";
+
+const save = (authInfo, overwrite = false) =>
+  server.invokeTool("ga_save_report", { name: "weekly_kpi", tool: "ga_kpi_overview", args: {}, overwrite }, { authInfo });
+const remove = (authInfo) => server.invokeTool("ga_delete_saved_report", { name: "weekly_kpi" }, { authInfo });
+
+test("保存済みレポートの上書き/削除は作成者と管理者だけができる", async () => {
+  const alice = keyAuth("alice");
+  const bob = keyAuth("bob");
+  const admin = keyAuth("ops", { admin: true });
+
+  const saved = await save(alice);
+  assert.equal(saved.saved.createdBy, "alice");
+
+  await assert.rejects(save(bob, true), { code: "NOT_REPORT_OWNER" });
+  await assert.rejects(remove(bob), { code: "NOT_REPORT_OWNER" });
+
+  const overwritten = await save(alice, true);
+  assert.equal(overwritten.overwritten, true);
+  assert.equal(overwritten.saved.createdBy, "alice");
+
+  assert.deepEqual(await remove(admin), { report: "delete_saved_report", deleted: "weekly_kpi" });
+});